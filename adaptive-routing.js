@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Adaptive Routing - Learns per-category tier choices from reported outcomes
+ * A UCB1 bandit per category chooses between the classified tier and the tiers above it, trading observed
+ * failure rate against model cost; state persists to a JSON file and can be inspected
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AdaptiveRouting {
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps ?? 1;         // how many pricier tiers above the classified one to consider
+    this.costWeight = options.costWeight ?? 0.3;   // reward penalty per unit of relative cost
+    this.exploration = options.exploration ?? 0.3; // UCB exploration constant
+    this.priorPulls = options.priorPulls ?? 10;    // optimistic prior so cheap arms are kept until they fail
+    this.maxPending = options.maxPending || 10000;
+    this.statePath = options.statePath || null;
+    this.categories = {};
+    this.pending = new Map();
+    if (this.statePath && fs.existsSync(this.statePath)) this.load();
+  }
+
+  // Arms for a category; tiers get an arm with priors the first time a request offers them
+  // candidates: [{ tier, costShare }] cheapest first, the classified tier first of all
+  arms(category, candidates) {
+    if (!this.categories[category]) this.categories[category] = { arms: {} };
+    const arms = this.categories[category].arms;
+    for (const { tier, costShare } of candidates.slice(0, this.maxSteps + 1)) {
+      if (!arms[tier]) arms[tier] = { costShare, pulls: this.priorPulls, reward: this.priorPulls * (1 - this.costWeight * costShare), failures: 0, outcomes: 0 };
+    }
+    return arms;
+  }
+
+  // Pick a tier for a category: { tier, scores }. Only this request's candidates compete, so a request is
+  // never routed below its classified tier; without candidates every learned arm competes (for inspection).
+  choose(category, candidates = []) {
+    const arms = this.arms(category, candidates);
+    const eligible = candidates.length
+      ? candidates.slice(0, this.maxSteps + 1).map(c => [c.tier, arms[c.tier]])
+      : Object.entries(arms);
+    const total = eligible.reduce((sum, [, a]) => sum + a.pulls, 0);
+    const scores = {};
+    let best = null;
+
+    for (const [tier, arm] of eligible) {
+      scores[tier] = arm.reward / arm.pulls + this.exploration * Math.sqrt(Math.log(total) / arm.pulls);
+      if (best === null || scores[tier] > scores[best]) best = tier;
+    }
+    return { tier: best, scores };
+  }
+
+  // Remember a routing decision until its outcome is reported
+  track(requestId, decision) {
+    this.pending.set(requestId, decision);
+    if (this.pending.size > this.maxPending) this.pending.delete(this.pending.keys().next().value);
+  }
+
+  // Apply an outcome { accepted, escalated, qualityScore }; returns the updated arm, or null for unknown ids
+  record(requestId, outcome = {}) {
+    const decision = this.pending.get(requestId);
+    if (!decision) return null;
+    this.pending.delete(requestId);
+
+    const arm = this.categories[decision.category]?.arms[decision.tier];
+    if (!arm) return null;
+
+    const failed = outcome.accepted === false || Boolean(outcome.escalated);
+    const quality = failed ? 0 : outcome.qualityScore ?? 1;
+    arm.pulls++;
+    arm.outcomes++;
+    arm.reward += quality - this.costWeight * arm.costShare;
+    if (quality < 0.5) arm.failures++;
+
+    if (this.statePath) this.save();
+    return { category: decision.category, tier: decision.tier, ...arm };
+  }
+
+  // Learned state per category: observed failure rate, mean reward and the tier currently preferred
+  inspect() {
+    return Object.fromEntries(Object.entries(this.categories).map(([category, { arms }]) => {
+      const summary = Object.fromEntries(Object.entries(arms).map(([tier, a]) => [tier, {
+        outcomes: a.outcomes,
+        failureRate: a.outcomes ? a.failures / a.outcomes : null,
+        meanReward: Number((a.reward / a.pulls).toFixed(3))
+      }]));
+      return [category, { preferred: this.choose(category).tier, arms: summary }];
+    }));
+  }
+
+  toJSON() {
+    return { version: 1, categories: this.categories };
+  }
+
+  // Persist learned state (pending decisions are not persisted)
+  save(file = this.statePath) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.toJSON(), null, 2));
+    fs.renameSync(tmp, file);
+    return file;
+  }
+
+  load(file = this.statePath) {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.categories = state.categories || {};
+    return this;
+  }
+}
+
+module.exports = AdaptiveRouting;
+
+// CLI usage
+if (require.main === module) {
+  const file = process.argv[2] || './adaptive-routing.json';
+  if (!fs.existsSync(file)) {
+    console.error(`No adaptive routing state at ${file}`);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(new AdaptiveRouting({ statePath: file }).inspect(), null, 2));
+}
@@ -4,19 +4,23 @@
  * Minimal batch processing with cost estimation
  */
 
+const ModelRegistry = require('./model-registry');
+
 class BatchProcessor {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
     this.queue = [];
+    this.registry = options.registry || new ModelRegistry({ strict: options.strict });
   }
 
-  // Add request to batch
+  // Add request to batch (unknown models throw in strict mode; maxTokens capped at the model's limit)
   addRequest(message, model = 'claude-haiku-4-5', options = {}) {
+    const info = this.registry.resolve(model);
     const req = {
       id: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       model,
       message: Array.isArray(message) ? message : [{ role: 'user', content: message }],
-      maxTokens: options.maxTokens || 1024
+      maxTokens: Math.min(options.maxTokens || 1024, info.maxOutput)
     };
     
     this.queue.push(req);
@@ -25,21 +29,22 @@ class BatchProcessor {
 
   // Estimate metrics
   estimateMetrics() {
-    let tokens = 0;
+    let tokens = 0, baseCost = 0, batchCost = 0;
     this.queue.forEach(req => {
-      tokens += Math.ceil(JSON.stringify(req).length / 4);
+      const reqTokens = Math.ceil(JSON.stringify(req).length / 4);
+      const rates = this.registry.resolve(req.model).pricing;
+      tokens += reqTokens;
+      baseCost += (reqTokens / 1e6) * rates.input;
+      batchCost += (reqTokens / 1e6) * rates.input * rates.batch;
     });
     
-    const baseCost = (tokens / 1e6) * 3; // Sonnet baseline
-    const batchCost = baseCost * 0.5; // 50% discount
-    
     return {
       totalRequests: this.queue.length,
       estimatedTokens: tokens,
       standardCost: baseCost.toFixed(4),
       batchCost: batchCost.toFixed(4),
       savings: (baseCost - batchCost).toFixed(4),
-      savingsPercent: '50%',
+      savingsPercent: `${baseCost > 0 ? Math.round((1 - batchCost / baseCost) * 100) : 0}%`,
       processingTime: '5-24 hours'
     };
   }
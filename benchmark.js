@@ -4,27 +4,32 @@
  * Calculate ROI for optimization strategies
  */
 
+const ModelRegistry = require('./model-registry');
+
 class CostBenchmark {
-  constructor() {
+  constructor(options = {}) {
     this.runs = [];
+    this.registry = options.registry || new ModelRegistry({ strict: options.strict });
+    this.baseline = this.registry.resolve(options.baselineModel || 'sonnet-4-5');
+    this.optimized = this.registry.resolve(options.optimizedModel || 'haiku-4-5');
   }
 
   // Run benchmark
   runScenario(name, requests, strategy = 'all') {
     const scenario = { name, requests: requests.length, strategy, timestamp: Date.now() };
     
-    // Standard cost (Sonnet, no optimization)
+    // Standard cost (baseline model input price, no optimization)
     let standardCost = 0;
     requests.forEach(r => {
       const tokens = r.tokens || 200;
-      standardCost += (tokens / 1e6) * 3; // Sonnet: $3/MTok input
+      standardCost += (tokens / 1e6) * this.baseline.pricing.input;
     });
     
     // Optimized cost
     let optimizedCost = standardCost;
-    if (strategy === 'all' || strategy === 'model') optimizedCost *= 0.33; // Haiku: 1/3 cost
+    if (strategy === 'all' || strategy === 'model') optimizedCost *= this.optimized.pricing.input / this.baseline.pricing.input;
     if (strategy === 'all' || strategy === 'caching') optimizedCost *= 0.5; // 50% cache hits = ~50% savings
-    if (strategy === 'all' || strategy === 'batch') optimizedCost *= 0.5; // 50% batch discount
+    if (strategy === 'all' || strategy === 'batch') optimizedCost *= this.optimized.pricing.batch; // batch discount
     
     scenario.results = {
       standard: standardCost.toFixed(4),
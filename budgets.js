@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Budgets - Spend limits with soft (warning) and hard (exceeded) thresholds
+ * Scoped by period (daily, monthly, total), model and tags; alerts go to a webhook or local script
+ */
+
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+
+const PERIODS = {
+  daily: ts => ts.slice(0, 10),
+  monthly: ts => ts.slice(0, 7),
+  total: () => 'total'
+};
+
+class BudgetExceededError extends Error {
+  constructor(status) {
+    super(`Budget "${status.name}" exceeded: $${status.spent.toFixed(4)} of $${status.hard} (${status.period})`);
+    this.name = 'BudgetExceededError';
+    this.budget = status;
+  }
+}
+
+class BudgetManager {
+  constructor(definitions = []) {
+    this.budgets = [];
+    definitions.forEach(def => this.add(def));
+  }
+
+  // Budgets implied by the costOptimization.monitoring config section
+  static fromConfig(monitoring = {}) {
+    const manager = new BudgetManager();
+    if (monitoring.enabled === false) return manager;
+
+    if (monitoring.alertThreshold) {
+      manager.add({ name: 'alertThreshold', period: 'daily', hard: monitoring.alertThreshold, enforce: Boolean(monitoring.enforceBudgets) });
+    }
+    (monitoring.budgets || []).forEach(def => manager.add({ enforce: Boolean(monitoring.enforceBudgets), ...def }));
+    return manager;
+  }
+
+  // Add a budget: { name, period, soft, hard, model, tags, enforce }
+  add(def) {
+    if (!PERIODS[def.period || 'daily']) throw new Error(`Unknown budget period: ${def.period}`);
+    if (def.hard === undefined && def.soft === undefined) throw new Error('Budget needs a soft or hard limit');
+
+    const budget = {
+      name: def.name || `budget-${this.budgets.length + 1}`,
+      period: def.period || 'daily',
+      hard: def.hard,
+      soft: def.soft ?? (def.hard !== undefined ? def.hard * 0.8 : undefined),
+      model: def.model || null,
+      tags: def.tags || null,
+      enforce: Boolean(def.enforce),
+      periodKey: null,
+      spent: 0,
+      warned: false,
+      exceeded: false
+    };
+    this.budgets.push(budget);
+    return budget;
+  }
+
+  // Whether an entry counts against a budget
+  matches(budget, entry) {
+    if (budget.model && budget.model !== entry.model) return false;
+    if (budget.tags) {
+      const tags = entry.tags || {};
+      return Object.entries(budget.tags).every(([k, v]) => tags[k] === v);
+    }
+    return true;
+  }
+
+  // Add an entry's cost to every matching budget, resetting on period rollover
+  apply(entry) {
+    for (const budget of this.budgets) {
+      if (!this.matches(budget, entry)) continue;
+      const key = PERIODS[budget.period](entry.timestamp);
+      if (budget.periodKey === null || key > budget.periodKey) {
+        Object.assign(budget, { periodKey: key, spent: 0, warned: false, exceeded: false });
+      } else if (key < budget.periodKey) {
+        continue; // replayed entry from an earlier period
+      }
+      budget.spent += entry.cost;
+    }
+  }
+
+  // Threshold crossings caused by an entry, each reported once per period
+  evaluate(entry) {
+    const events = [];
+    for (const budget of this.budgets) {
+      if (!this.matches(budget, entry)) continue;
+      if (budget.hard !== undefined && !budget.exceeded && budget.spent >= budget.hard) {
+        budget.exceeded = budget.warned = true;
+        events.push({ type: 'exceeded', budget: this.describe(budget) });
+      } else if (budget.soft !== undefined && !budget.warned && budget.spent >= budget.soft) {
+        budget.warned = true;
+        events.push({ type: 'warning', budget: this.describe(budget) });
+      }
+    }
+    return events;
+  }
+
+  // Enforced budgets over their hard limit that apply to an entry
+  violations(entry) {
+    return this.budgets
+      .filter(b => b.enforce && b.hard !== undefined && b.spent >= b.hard && this.matches(b, entry))
+      .map(b => this.describe(b));
+  }
+
+  describe(budget) {
+    const { name, period, periodKey, soft, hard, model, tags, enforce, spent } = budget;
+    const limit = hard ?? soft;
+    return { name, period, periodKey, soft, hard, model, tags, enforce, spent, utilization: limit ? spent / limit : 0 };
+  }
+
+  // Current state of every budget; with `at`, budgets whose period has since rolled over report zero spend
+  status(at = null) {
+    const ts = at && new Date(at).toISOString();
+    return this.budgets.map(b => {
+      const status = this.describe(b);
+      if (!ts || b.periodKey === null || PERIODS[b.period](ts) <= b.periodKey) return status;
+      return { ...status, periodKey: PERIODS[b.period](ts), spent: 0, utilization: 0 };
+    });
+  }
+}
+
+// Deliver an alert payload to a webhook URL and/or local script (payload on stdin)
+function deliverAlert(target, payload) {
+  const deliveries = [];
+  const body = JSON.stringify(payload);
+
+  if (target.webhook) {
+    deliveries.push(new Promise((resolve, reject) => {
+      const url = new URL(target.webhook);
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout: target.timeout || 5000
+      }, res => {
+        res.resume();
+        res.on('end', () => res.statusCode < 400 ? resolve(res.statusCode) : reject(new Error(`Webhook returned ${res.statusCode}`)));
+      });
+      req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+      req.on('error', reject);
+      req.end(body);
+    }));
+  }
+
+  if (target.script) {
+    deliveries.push(new Promise((resolve, reject) => {
+      const child = spawn(target.script, [payload.event], { stdio: ['pipe', 'ignore', 'inherit'] });
+      child.on('error', reject);
+      child.stdin.on('error', reject); // EPIPE when the script exits without reading its payload
+      child.on('exit', code => code === 0 ? resolve(code) : reject(new Error(`Alert script exited with ${code}`)));
+      child.stdin.end(body);
+    }));
+  }
+
+  return Promise.all(deliveries);
+}
+
+BudgetManager.BudgetExceededError = BudgetExceededError;
+BudgetManager.deliverAlert = deliverAlert;
+
+module.exports = BudgetManager;
+
+// CLI usage
+if (require.main === module) {
+  const manager = new BudgetManager([{ name: 'daily', period: 'daily', soft: 0.5, hard: 1 }]);
+  const entry = { timestamp: new Date().toISOString(), model: 'sonnet-4-5', cost: 0.6, tags: {} };
+  manager.apply(entry);
+  console.log('Events:', manager.evaluate(entry));
+  console.log('Status:', manager.status());
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Cache Eviction - Victim selection for ResponseCache
+ * Policies share add(key, meta), touch(key), remove(key), victim() and clear(); LRU and LFU are O(1),
+ * TTL priority (soonest expiry first) is O(log n) on an expiry heap that also drives expiry sweeps
+ */
+
+// Least recently used: Map insertion order, re-inserted on access
+class LRUPolicy {
+  constructor() {
+    this.name = 'lru';
+    this.order = new Map();
+  }
+
+  add(key) {
+    this.order.delete(key);
+    this.order.set(key, true);
+  }
+
+  touch(key) {
+    this.add(key);
+  }
+
+  remove(key) {
+    this.order.delete(key);
+  }
+
+  victim() {
+    return this.order.keys().next().value ?? null;
+  }
+
+  clear() {
+    this.order.clear();
+  }
+}
+
+// Least frequently used: frequency buckets, least recently used within the lowest bucket
+class LFUPolicy {
+  constructor() {
+    this.name = 'lfu';
+    this.frequency = new Map();
+    this.buckets = new Map(); // frequency -> Set of keys in access order
+    this.minFrequency = 0;
+  }
+
+  place(key, frequency) {
+    this.frequency.set(key, frequency);
+    if (!this.buckets.has(frequency)) this.buckets.set(frequency, new Set());
+    this.buckets.get(frequency).add(key);
+    if (!this.minFrequency || frequency < this.minFrequency) this.minFrequency = frequency;
+  }
+
+  unplace(key) {
+    const frequency = this.frequency.get(key);
+    const bucket = this.buckets.get(frequency);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.buckets.delete(frequency);
+      if (this.minFrequency === frequency) this.minFrequency = 0; // found again on the next victim()
+    }
+    this.frequency.delete(key);
+    return frequency;
+  }
+
+  // meta.hits seeds the count for entries loaded from a persistent store
+  add(key, meta = {}) {
+    if (this.frequency.has(key)) this.unplace(key);
+    this.place(key, 1 + (meta.hits || 0));
+  }
+
+  touch(key) {
+    if (!this.frequency.has(key)) return this.add(key);
+    this.place(key, this.unplace(key) + 1);
+  }
+
+  remove(key) {
+    if (this.frequency.has(key)) this.unplace(key);
+  }
+
+  victim() {
+    if (this.frequency.size === 0) return null;
+    if (!this.buckets.has(this.minFrequency)) this.minFrequency = Math.min(...this.buckets.keys());
+    return this.buckets.get(this.minFrequency).values().next().value;
+  }
+
+  clear() {
+    this.frequency.clear();
+    this.buckets.clear();
+    this.minFrequency = 0;
+  }
+}
+
+// Binary min-heap of { key, expiresAt } with lazy deletion: stale nodes are skipped when they surface
+class ExpiryHeap {
+  constructor() {
+    this.heap = [];
+    this.expiry = new Map(); // key -> current expiresAt
+  }
+
+  get size() {
+    return this.expiry.size;
+  }
+
+  add(key, expiresAt) {
+    this.expiry.set(key, expiresAt);
+    this.heap.push({ key, expiresAt });
+    this.up(this.heap.length - 1);
+    if (this.heap.length > 2 * this.expiry.size + 64) this.rebuild();
+  }
+
+  remove(key) {
+    this.expiry.delete(key);
+  }
+
+  // Live node with the soonest expiry, or null
+  peek() {
+    while (this.heap.length) {
+      const top = this.heap[0];
+      if (this.expiry.get(top.key) === top.expiresAt) return top;
+      this.pop();
+    }
+    return null;
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length) {
+      this.heap[0] = last;
+      this.down(0);
+    }
+    return top;
+  }
+
+  rebuild() {
+    this.heap = [...this.expiry].map(([key, expiresAt]) => ({ key, expiresAt }));
+    for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) this.down(i);
+  }
+
+  up(i) {
+    const heap = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].expiresAt <= heap[i].expiresAt) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  down(i) {
+    const heap = this.heap;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].expiresAt < heap[smallest].expiresAt) smallest = left;
+      if (right < heap.length && heap[right].expiresAt < heap[smallest].expiresAt) smallest = right;
+      if (smallest === i) return;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+
+  clear() {
+    this.heap = [];
+    this.expiry.clear();
+  }
+}
+
+// Soonest expiry first
+class TTLPolicy {
+  constructor() {
+    this.name = 'ttl';
+    this.heap = new ExpiryHeap();
+  }
+
+  add(key, meta) {
+    this.heap.add(key, meta.expiresAt);
+  }
+
+  touch() {}
+
+  remove(key) {
+    this.heap.remove(key);
+  }
+
+  victim() {
+    const top = this.heap.peek();
+    return top ? top.key : null;
+  }
+
+  clear() {
+    this.heap.clear();
+  }
+}
+
+// Policy by name: lru | lfu | ttl
+function createPolicy(type = 'lru') {
+  switch (type) {
+    case 'lru': return new LRUPolicy();
+    case 'lfu': return new LFUPolicy();
+    case 'ttl': return new TTLPolicy();
+    default: throw new Error(`Unknown eviction policy: ${type}`);
+  }
+}
+
+module.exports = { LRUPolicy, LFUPolicy, TTLPolicy, ExpiryHeap, createPolicy };
+
+// CLI usage
+if (require.main === module) {
+  const policy = createPolicy(process.argv[2] || 'lfu');
+  ['a', 'b', 'c'].forEach((key, i) => policy.add(key, { expiresAt: Date.now() + (3 - i) * 1000 }));
+  policy.touch('a');
+  console.log(`${policy.name} victim:`, policy.victim());
+}
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Cache Stores - Storage backends for ResponseCache
+ * Contract: get(key), set(key, entry), delete(key), keys(), clear(), size(); methods may return
+ * Promises when the store sets `async = true` (networked stores such as Redis)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Process-local Map (the default)
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.map = new Map();
+  }
+
+  get(key) { return this.map.get(key) || null; }
+  set(key, entry) { this.map.set(key, entry); }
+  delete(key) { return this.map.delete(key); }
+  keys() { return [...this.map.keys()]; }
+  clear() { this.map.clear(); }
+  size() { return this.map.size; }
+}
+
+// One JSON file per entry, sharded into subdirectories by key prefix; shared by every worker on the host
+class FileStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || './cache';
+    this.shardChars = options.shardChars ?? 2;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, key.slice(0, this.shardChars), `${key}.json`);
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file(key), 'utf8'));
+    } catch (e) {
+      return null; // missing, or torn by a concurrent writer
+    }
+  }
+
+  // Write to a temp file and rename so readers never see a partial entry
+  set(key, entry) {
+    const file = this.file(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry));
+    fs.renameSync(tmp, file);
+  }
+
+  delete(key) {
+    try {
+      fs.unlinkSync(this.file(key));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  keys() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .flatMap(d => fs.readdirSync(path.join(this.dir, d.name)).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)));
+  }
+
+  clear() {
+    this.keys().forEach(key => this.delete(key));
+  }
+
+  size() {
+    return this.keys().length;
+  }
+}
+
+// Single append-only log with an in-memory index; tails writes from other processes, compacts when mostly garbage.
+// Writes only ever append (O_APPEND), and the index is rebuilt from what is read back, so interleaved writers agree.
+class LogStore {
+  constructor(options = {}) {
+    this.name = 'log';
+    this.file = options.file || './cache/response-cache.log';
+    this.compactRatio = options.compactRatio ?? 0.5; // compact when over half the records are dead
+    this.index = new Map();
+    this.records = 0;
+    this.offset = 0;
+    this.fileId = null; // dev:ino of the file the index was read from
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.refresh();
+  }
+
+  // Apply records appended since the last read (by this or another process), up to the last complete line
+  refresh() {
+    let fd;
+    try {
+      fd = fs.openSync(this.file, 'r');
+    } catch (e) {
+      return; // not created yet
+    }
+    try {
+      const { size, dev, ino } = fs.fstatSync(fd);
+      const fileId = `${dev}:${ino}`;
+      if (fileId !== this.fileId || size < this.offset) { // replaced by compaction or clear: reload from scratch
+        this.index.clear();
+        this.records = 0;
+        this.offset = 0;
+        this.fileId = fileId;
+      }
+      if (size === this.offset) return;
+
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+      this.apply(buffer);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  apply(buffer) {
+    const end = buffer.lastIndexOf(0x0a) + 1; // leave a partially written last line for next time
+    for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+      if (!line) continue;
+      try {
+        const { op, key, entry } = JSON.parse(line);
+        if (op === 'set') this.index.set(key, entry);
+        else this.index.delete(key);
+        this.records++;
+      } catch (e) {
+        // skip torn line
+      }
+    }
+    this.offset += end;
+  }
+
+  // Append one line, then read back to EOF so records other workers appended meanwhile are applied in file order
+  append(record) {
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    this.refresh();
+    if (this.records > 100 && this.index.size < this.records * (1 - this.compactRatio)) this.compact();
+  }
+
+  get(key) {
+    if (!this.index.has(key)) this.refresh();
+    return this.index.get(key) || null;
+  }
+
+  set(key, entry) { this.append({ op: 'set', key, entry }); }
+
+  delete(key) {
+    if (!this.index.has(key)) return false;
+    this.append({ op: 'del', key });
+    return true;
+  }
+
+  keys() {
+    this.refresh();
+    return [...this.index.keys()];
+  }
+
+  // Rewrite the log with only live entries; the new file has a new inode, so other readers reload it
+  compact() {
+    this.replace([...this.index].map(([key, entry]) => JSON.stringify({ op: 'set', key, entry }) + '\n').join(''));
+  }
+
+  clear() {
+    this.replace('');
+  }
+
+  replace(contents) {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, this.file);
+    this.fileId = null;
+    this.refresh();
+  }
+
+  size() {
+    this.refresh();
+    return this.index.size;
+  }
+}
+
+// Redis-compatible store over any client with Promise-returning get, set(key, value, 'PX', ms), del and
+// scan(cursor, 'MATCH', pattern, 'COUNT', n) (ioredis, or node-redis in legacy mode); Redis expires entries itself
+// so the TTL travels with each write. Listing uses SCAN: KEYS would block the server while it walks the keyspace.
+class RedisStore {
+  constructor(client, options = {}) {
+    if (!client) throw new Error('RedisStore needs a client');
+    this.name = 'redis';
+    this.async = true;
+    this.client = client;
+    this.prefix = options.prefix ?? 'response-cache:';
+    this.scanCount = options.scanCount || 500; // keys per SCAN call (and per DEL in clear)
+  }
+
+  // Batches of prefixed keys, one SCAN call each (a key may repeat across batches)
+  async *scan() {
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', this.scanCount);
+      cursor = String(next);
+      if (batch.length) yield batch;
+    } while (cursor !== '0');
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry) {
+    const ttl = Math.max(1, Math.round((entry.staleUntil ?? entry.expiresAt) - Date.now()));
+    await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', ttl);
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  async keys() {
+    const keys = new Set();
+    for await (const batch of this.scan()) batch.forEach(k => keys.add(k.slice(this.prefix.length)));
+    return [...keys];
+  }
+
+  async clear() {
+    for await (const batch of this.scan()) await this.client.del(...batch);
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+}
+
+// Store by name: memory | file | log | redis (redis needs options.client)
+function createStore(type = 'memory', options = {}) {
+  switch (type) {
+    case 'memory': return new MemoryStore(options);
+    case 'file': return new FileStore(options);
+    case 'log': return new LogStore(options);
+    case 'redis': return new RedisStore(options.client, options);
+    default: throw new Error(`Unknown cache store: ${type}`);
+  }
+}
+
+module.exports = { MemoryStore, FileStore, LogStore, RedisStore, createStore };
+
+// CLI usage
+if (require.main === module) {
+  const dir = process.argv[2] || './cache';
+  const store = new FileStore({ dir });
+  console.log(`${store.size()} entries in ${dir}`);
+}
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Cascade Executor - Try the cheapest suitable model, validate, escalate on failure
+ * Starts at ModelRouter.selectModel's pick and climbs Haiku → Sonnet → Opus; every attempt's cost is
+ * recorded in ClaudeCostMonitor so blended cost includes failed attempts
+ */
+
+const ModelRegistry = require('./model-registry');
+
+const DEFAULT_LADDER = ['anthropic/claude-haiku-4-5', 'anthropic/claude-sonnet-4-5', 'anthropic/claude-opus-4-5'];
+
+// Minimal JSON Schema check (type, required, properties, items, enum, minLength, minimum, maximum)
+function validateSchema(value, schema, path = '$') {
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const ok = types.some(t => t === type || (t === 'integer' && Number.isInteger(value)));
+    if (!ok) return `${path} should be ${types.join('|')}`;
+  }
+  if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) return `${path} not in enum`;
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) return `${path} too short`;
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return `${path} below minimum`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `${path} above maximum`;
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${path}.${key} is required`;
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        const error = validateSchema(value[key], sub, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+  if (type === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateSchema(value[i], schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Text content of a Messages API response
+function responseText(response) {
+  if (typeof response === 'string') return response;
+  return (response?.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+class CascadeExecutor {
+  constructor(options = {}) {
+    if (typeof options.send !== 'function') throw new Error('CascadeExecutor needs a send({ model, prompt }) function');
+    this.router = options.router;
+    this.monitor = options.monitor || null;
+    this.send = options.send;
+    this.validator = options.validator || null;
+    this.ladder = options.ladder || DEFAULT_LADDER;
+    if (!this.ladder.length) throw new Error('CascadeExecutor needs at least one model in its ladder');
+    this.registry = options.registry || this.router?.registry || new ModelRegistry();
+    this.escalateOnError = options.escalateOnError ?? true;
+    this.stats = new Map(this.ladder.map(m => [m, { attempts: 0, successes: 0, failures: 0, errors: 0, cost: 0 }]));
+    this.runs = { total: 0, succeeded: 0, cost: 0 };
+  }
+
+  // Ladder position for a model (matched on registry key, so aliases and prefixes line up). A model off the
+  // ladder starts at the first rung costing at least as much, or the top rung if it costs more than all of them.
+  ladderIndex(model) {
+    const key = m => this.registry.resolve(m).key;
+    const index = this.ladder.findIndex(m => key(m) === key(model));
+    if (index > -1) return index;
+
+    const price = m => {
+      const rates = this.registry.resolve(m).pricing;
+      return rates.input + rates.output;
+    };
+    const atLeast = this.ladder.findIndex(m => price(m) >= price(model));
+    return atLeast === -1 ? this.ladder.length - 1 : atLeast;
+  }
+
+  // Run the cascade: resolves { response, model, attempts, totalCost, escalations, success }
+  async run(prompt, options = {}) {
+    const start = options.model || (this.router ? this.router.selectModel(prompt, options).model : this.ladder[0]);
+    const validator = options.validator || this.validator;
+    const attempts = [];
+    let result = null;
+
+    for (let i = this.ladderIndex(start); i < this.ladder.length; i++) {
+      const model = this.ladder[i];
+      const attempt = { model, cost: 0, valid: false, reason: null };
+      attempts.push(attempt);
+
+      let response;
+      try {
+        response = await this.send({ model, prompt, attempt: attempts.length, options });
+      } catch (error) {
+        attempt.error = error.message;
+        this.tally(model, 'errors', 0);
+        if (!this.escalateOnError) break;
+        continue;
+      }
+
+      // A throwing validator or judge fails the attempt (and escalates); the response is tracked either way
+      let verdict;
+      try {
+        verdict = await this.validate(validator, response, prompt, attempt);
+      } catch (error) {
+        verdict = { valid: false, reason: `validator error: ${error.message}` };
+      }
+      attempt.valid = verdict.valid;
+      attempt.reason = verdict.reason;
+      attempt.cost += this.track(response, model, verdict.valid ? 'passed' : 'failed', options.tags);
+      this.tally(model, verdict.valid ? 'successes' : 'failures', attempt.cost);
+
+      if (verdict.valid) {
+        result = response;
+        break;
+      }
+      result = response; // keep the best effort if every tier fails
+    }
+
+    const totalCost = attempts.reduce((s, a) => s + a.cost, 0);
+    const success = attempts.some(a => a.valid);
+    this.runs.total++;
+    this.runs.cost += totalCost;
+    if (success) this.runs.succeeded++;
+
+    return { response: result, model: attempts[attempts.length - 1].model, success, attempts, totalCost, escalations: attempts.length - 1 };
+  }
+
+  // Validator forms: fn(text, response), RegExp, { type: 'regex' | 'json-schema' | 'judge' }
+  async validate(validator, response, prompt, attempt) {
+    if (!validator) return { valid: true, reason: null };
+    const text = responseText(response);
+
+    if (typeof validator === 'function') {
+      const out = await validator(text, response);
+      return typeof out === 'object' && out !== null ? { valid: Boolean(out.valid), reason: out.reason || null } : { valid: Boolean(out), reason: out ? null : 'validator rejected' };
+    }
+    if (validator instanceof RegExp || validator.type === 'regex') {
+      const pattern = validator instanceof RegExp ? validator : new RegExp(validator.pattern, validator.flags);
+      return pattern.test(text) ? { valid: true, reason: null } : { valid: false, reason: `no match for ${pattern}` };
+    }
+    if (validator.type === 'json-schema') {
+      let value;
+      try {
+        value = JSON.parse(text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      } catch (e) {
+        return { valid: false, reason: 'invalid JSON' };
+      }
+      const error = validateSchema(value, validator.schema || {});
+      return { valid: !error, reason: error };
+    }
+    if (validator.type === 'judge') {
+      const model = validator.model || this.ladder[0];
+      const judgePrompt = validator.prompt
+        ? validator.prompt(prompt, text)
+        : `Task:\n${typeof prompt === 'string' ? prompt : JSON.stringify(prompt)}\n\nAnswer:\n${text}\n\nDoes the answer fully and correctly complete the task? Reply PASS or FAIL.`;
+      const judgement = await (validator.send || this.send)({ model, prompt: judgePrompt, judge: true });
+      attempt.cost += this.track(judgement, model, 'judge');
+      const passed = /\bPASS\b/i.test(responseText(judgement));
+      return { valid: passed, reason: passed ? null : 'judge rejected' };
+    }
+    throw new Error(`Unknown validator type: ${validator.type}`);
+  }
+
+  // Record an attempt's usage in the monitor, tagged with tier and outcome
+  track(response, model, outcome, tags = {}) {
+    if (!this.monitor || !response?.usage) return 0;
+    return this.monitor.trackResponse(response, { model: response.model || model, tags: { ...tags, cascadeTier: model, cascadeOutcome: outcome } });
+  }
+
+  tally(model, field, cost) {
+    const stats = this.stats.get(model);
+    if (!stats) return;
+    stats.attempts++;
+    stats[field]++;
+    stats.cost += cost;
+  }
+
+  // Per-tier success rates and true blended cost including failed attempts
+  getStats() {
+    const tiers = {};
+    for (const [model, s] of this.stats) {
+      tiers[model] = { ...s, successRate: s.attempts ? s.successes / s.attempts : 0 };
+    }
+    return {
+      tiers,
+      runs: this.runs.total,
+      successRate: this.runs.total ? this.runs.succeeded / this.runs.total : 0,
+      totalCost: this.runs.cost,
+      blendedCostPerSuccess: this.runs.succeeded ? this.runs.cost / this.runs.succeeded : 0
+    };
+  }
+}
+
+CascadeExecutor.validateSchema = validateSchema;
+CascadeExecutor.responseText = responseText;
+
+module.exports = CascadeExecutor;
+
+// CLI usage
+if (require.main === module) {
+  const ModelRouter = require('./model-router');
+  const ClaudeCostMonitor = require('./cost-monitor');
+
+  // Simulated send: Haiku returns prose, Sonnet returns valid JSON
+  const send = async ({ model }) => ({
+    model,
+    content: [{ type: 'text', text: model.includes('haiku') ? 'The sentiment is positive.' : '{"sentiment":"positive"}' }],
+    usage: { input_tokens: 400, output_tokens: 50 }
+  });
+
+  const cascade = new CascadeExecutor({
+    router: new ModelRouter(),
+    monitor: new ClaudeCostMonitor(),
+    send,
+    validator: { type: 'json-schema', schema: { type: 'object', required: ['sentiment'] } }
+  });
+
+  cascade.run('Classify sentiment as JSON: "Great product!"').then(result => {
+    console.log('Result:', JSON.stringify({ model: result.model, attempts: result.attempts, totalCost: result.totalCost }, null, 2));
+    console.log('Stats:', JSON.stringify(cascade.getStats(), null, 2));
+  });
+}
@@ -1,28 +1,86 @@
 #!/usr/bin/env node
 /**
  * Unified CLI - Single command for all optimization operations
- * Usage: node cli.js [monitor|route|cache|batch|benchmark|optimize]
+ * Usage: node cli.js [monitor|route|evaluate|cache|batch|benchmark|optimize]
  */
 
+const fs = require('fs');
+const path = require('path');
 const ClaudeCostMonitor = require('./cost-monitor');
 const ModelRouter = require('./model-router');
+const RoutingReplay = require('./routing-replay');
+const RouterEvaluation = require('./router-evaluation');
 const PromptCache = require('./prompt-cache');
 const ResponseCache = require('./response-cache');
 const BatchProcessor = require('./batch-processor');
 const CostBenchmark = require('./benchmark');
 const OptimizationApplier = require('./apply-optimization');
+const UsageLedger = require('./usage-ledger');
+const ReportExporter = require('./report-exporters');
+const MetricsServer = require('./metrics-server');
+
+// Value of a --flag option, or fallback
+function option(name, fallback = null) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
 
 const commands = {
   monitor: () => {
+    const format = option('format');
+    const ledgerDir = option('ledger');
+    let m;
+    if (ledgerDir) {
+      m = ClaudeCostMonitor.fromLedger(new UsageLedger({ dir: ledgerDir }));
+    } else {
+      m = new ClaudeCostMonitor();
+      m.trackUsage('haiku-4-5', 1000, 500, 800);
+      m.trackUsage('sonnet-4-5', 2000, 1000, 0);
+    }
+
+    const port = option('serve');
+    if (port !== null) {
+      const labels = option('labels', '').split(',').filter(Boolean);
+      // With a ledger, reload on each scrape so every worker's spend is visible
+      const source = ledgerDir ? () => ClaudeCostMonitor.fromLedger(new UsageLedger({ dir: ledgerDir })) : m;
+      new MetricsServer(source, { labels }).listen(Number(port)).then(bound => {
+        console.log(`📡 Serving /metrics, /report and /health on http://localhost:${bound}`);
+      }).catch(error => {
+        console.error(`❌ Cannot serve on port ${port}: ${error.message}`);
+        process.exit(1);
+      });
+      return;
+    }
+
+    const groupBy = option('group-by');
+    if (groupBy) {
+      const rows = m.getCostBreakdown({ groupBy: groupBy.split(','), top: Number(option('top', 0)) || undefined });
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+
+    if (format) {
+      process.stdout.write(new ReportExporter().export(format, m.getReportData({ granularity: option('granularity', 'daily') })));
+      return;
+    }
+
     console.log('💰 Cost Monitor - Track API usage\n');
-    const m = new ClaudeCostMonitor();
-    m.trackUsage('haiku-4-5', 1000, 500, 800);
-    m.trackUsage('sonnet-4-5', 2000, 1000, 0);
     console.log(JSON.stringify(m.generateReport(), null, 2));
     console.log('\nOptimizations:', m.getOptimizations());
   },
 
   route: () => {
+    const replayFile = option('replay');
+    if (replayFile) {
+      // Each policy file is an OpenClaw config or a bare modelSelection object
+      const files = option('policies', '').split(',').filter(Boolean);
+      const policies = files.length
+        ? Object.fromEntries(files.map(f => [path.basename(f, '.json'), ModelRouter.fromConfig(JSON.parse(fs.readFileSync(f, 'utf8')))]))
+        : { default: new ModelRouter(), config: ModelRouter.fromConfig() };
+      console.log(JSON.stringify(new RoutingReplay(policies).run(RoutingReplay.load(replayFile)), null, 2));
+      return;
+    }
+
     console.log('🧠 Model Router - Select optimal model\n');
     const r = new ModelRouter();
     const tasks = ['Classify email', 'Design system', 'Extract names'];
@@ -32,6 +90,20 @@ const commands = {
     });
   },
 
+  evaluate: () => {
+    const dataset = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : path.join(__dirname, 'test/fixtures/router-labels.jsonl');
+    const config = option('config');
+    const router = config ? ModelRouter.fromConfig(JSON.parse(fs.readFileSync(config, 'utf8'))) : new ModelRouter();
+    const report = new RouterEvaluation(router).evaluate(RoutingReplay.load(dataset));
+
+    if (option('format') === 'json') {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    console.log(`🎯 Router Evaluation - ${path.basename(dataset)}\n`);
+    process.stdout.write(RouterEvaluation.format(report));
+  },
+
   cache: () => {
     console.log('🗄️  Prompt Cache - Optimize with caching\n');
     const c = new PromptCache();
@@ -66,20 +138,42 @@ const commands = {
     console.log(`
 Claude API Cost Optimization CLI
 
-Usage: node cli.js [command]
+Usage: node cli.js [command] [options]
 
 Commands:
   monitor     - Track API costs and usage
   route       - Show intelligent model selection
+  evaluate    - Score the router against a labeled dataset (prompt → expected tier)
   cache       - Analyze caching potential
   batch       - Show batch processing savings
   benchmark   - Run cost benchmarks
   optimize    - Apply optimization to OpenClaw
   help        - Show this help message
 
+Monitor options:
+  --ledger <dir>        Report from a usage ledger instead of demo data
+  --format <name>       json | csv | markdown | html | prometheus
+  --granularity <name>  hourly | daily | weekly (time series in exports)
+  --group-by <dims>     Cost by tags/dimensions, e.g. feature,model,day
+  --top <n>             Limit --group-by output to the top N spenders
+  --serve <port>        HTTP server with /metrics (Prometheus), /report and /health
+  --labels <tags>       Tag names exported as Prometheus labels, e.g. team,feature
+
+Route options:
+  --replay <file>       Replay recorded requests (JSONL: prompt|messages, model, usage, quality?, tags?)
+  --policies <files>    Router configs to compare, e.g. current.json,candidate.json
+
+Evaluate options:
+  evaluate [dataset]    JSONL of { prompt, tier } (default: test/fixtures/router-labels.jsonl)
+  --config <file>       Router config to evaluate instead of the defaults
+  --format json         Full report with misclassifications
+
 Examples:
   node cli.js monitor
+  node cli.js monitor --ledger ./ledger --format markdown > COSTS.md
   node cli.js route
+  node cli.js route --replay requests.jsonl --policies current.json,candidate.json
+  node cli.js evaluate labeled.jsonl --config candidate.json
   node cli.js benchmark
   node cli.js optimize
     `);
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Complexity Classifier - Weighted multi-signal scoring of prompt complexity
+ * Returns a tier with a confidence and the features that contributed; any object with
+ * classify(prompt, context) => { tier, confidence, features } can replace it in ModelRouter
+ */
+
+const DEFAULT_TIERS = [
+  { tier: 'simple', below: 0.3 },
+  { tier: 'medium', below: 0.6 },
+  { tier: 'complex', below: Infinity }
+];
+
+class ComplexityClassifier {
+  constructor(options = {}) {
+    this.simplePatterns = options.simplePatterns || [/classify|extract|tag|translate|format|summarize|faq/i];
+    this.complexPatterns = options.complexPatterns || [/analyze|generate|design|refactor|code|algorithm|architecture/i];
+    this.tiers = options.tiers || DEFAULT_TIERS;
+    this.baseScore = options.baseScore ?? 0.25;
+    this.weights = {
+      complexKeywords: 0.45,
+      simpleKeywords: -0.25,
+      length: 0.35,       // scaled by words / lengthWords, capped
+      codeBlocks: 0.15,   // per block, capped at 2
+      questions: 0.05,    // per question beyond the first, capped at 3
+      longOutput: 0.15,
+      shortOutput: -0.1,
+      structuredOutput: 0.05,
+      language: 0.1,
+      conversationDepth: 0.03, // per prior turn, capped at 6
+      ...options.weights
+    };
+    this.lengthWords = options.lengthWords || 40;
+  }
+
+  // Text and conversation depth from a prompt string or messages array
+  static normalize(prompt, context = {}) {
+    if (!Array.isArray(prompt)) return { text: String(prompt), depth: (context.messages || []).length };
+
+    const last = [...prompt].reverse().find(m => m.role === 'user') || prompt[prompt.length - 1] || {};
+    const content = Array.isArray(last.content)
+      ? last.content.filter(b => b.type === 'text').map(b => b.text).join('\n')
+      : String(last.content || '');
+    return { text: content, depth: Math.max(prompt.length - 1, 0) };
+  }
+
+  // Raw feature values for a prompt
+  extract(prompt, context = {}) {
+    const { text, depth } = ComplexityClassifier.normalize(prompt, context);
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const letters = text.match(/\p{L}/gu) || [];
+
+    return {
+      complexKeywords: this.complexPatterns.some(p => p.test(text)) ? 1 : 0,
+      simpleKeywords: this.simplePatterns.some(p => p.test(text)) ? 1 : 0,
+      length: Math.min(words / this.lengthWords, 1),
+      codeBlocks: Math.min((text.match(/```/g) || []).length / 2, 2),
+      questions: Math.min(Math.max((text.match(/\?/g) || []).length - 1, 0), 3),
+      longOutput: /\b(detailed|comprehensive|in[- ]depth|step[- ]by[- ]step|thorough|essay|report)\b|\b\d{3,}\s+words\b/i.test(text) ? 1 : 0,
+      shortOutput: /\b(brief|briefly|one word|short answer|yes or no|only the|just the)\b/i.test(text) ? 1 : 0,
+      structuredOutput: /\b(json|yaml|xml|csv|schema|table)\b/i.test(text) ? 1 : 0,
+      language: letters.length && letters.filter(l => !/[a-z]/i.test(l)).length / letters.length > 0.3 ? 1 : 0,
+      conversationDepth: Math.min(depth, 6)
+    };
+  }
+
+  // Score, tier, confidence and contributing features
+  classify(prompt, context = {}) {
+    const values = this.extract(prompt, context);
+    const features = [];
+    let score = this.baseScore;
+
+    for (const [name, value] of Object.entries(values)) {
+      const contribution = value * (this.weights[name] || 0);
+      if (contribution === 0) continue;
+      score += contribution;
+      features.push({ name, value, contribution: Number(contribution.toFixed(3)) });
+    }
+
+    score = Math.min(Math.max(score, 0), 1);
+    const tier = this.tiers.find(t => score < t.below) || this.tiers[this.tiers.length - 1];
+
+    // Confidence falls as the score nears a tier boundary
+    const margin = Math.min(...this.tiers.filter(t => Number.isFinite(t.below)).map(t => Math.abs(score - t.below)));
+    const confidence = Number(Math.min(1, 0.5 + margin * 2.5).toFixed(2));
+
+    return {
+      tier: tier.tier,
+      score: Number(score.toFixed(3)),
+      confidence,
+      features: features.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    };
+  }
+}
+
+ComplexityClassifier.DEFAULT_TIERS = DEFAULT_TIERS;
+
+module.exports = ComplexityClassifier;
+
+// CLI usage
+if (require.main === module) {
+  const classifier = new ComplexityClassifier();
+  const prompt = process.argv.slice(2).join(' ') || 'Write a detailed design doc for a rate limiter. What are the trade-offs? Which store?';
+  console.log(JSON.stringify(classifier.classify(prompt), null, 2));
+}
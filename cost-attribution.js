@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Cost Attribution - Group and filter recorded spend by any tag combination
+ * Built-in dimensions: model, batch, hour, day, week, month; anything else is a tag name
+ */
+
+const UsageTimeSeries = require('./timeseries');
+
+const NONE = '(none)';
+const DIMENSIONS = {
+  model: e => e.model,
+  batch: e => Boolean(e.batch),
+  hour: e => e.timestamp.slice(0, 13) + ':00',
+  day: e => e.timestamp.slice(0, 10),
+  week: e => new Date(UsageTimeSeries.bucketStart(new Date(e.timestamp).getTime(), 'weekly')).toISOString().slice(0, 10),
+  month: e => e.timestamp.slice(0, 7)
+};
+
+class CostAttribution {
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  // Value of a dimension for an entry
+  static value(entry, dimension) {
+    if (DIMENSIONS[dimension]) return DIMENSIONS[dimension](entry);
+    const tag = (entry.tags || {})[dimension];
+    return tag === undefined || tag === null ? NONE : tag;
+  }
+
+  // Filter spec: { dim: value | [values] | fn(value) }
+  static matches(entry, filter = {}) {
+    return Object.entries(filter).every(([dim, want]) => {
+      const value = CostAttribution.value(entry, dim);
+      if (typeof want === 'function') return want(value);
+      if (Array.isArray(want)) return want.includes(value);
+      return value === want;
+    });
+  }
+
+  // Add an entry to its group in a Map of group id -> { key, calls, cost, tokens, costs }
+  static accumulate(groups, groupBy, entry) {
+    const key = Object.fromEntries(groupBy.map(dim => [dim, CostAttribution.value(entry, dim)]));
+    const id = JSON.stringify(groupBy.map(dim => key[dim]));
+    if (!groups.has(id)) {
+      groups.set(id, {
+        key, calls: 0, cost: 0,
+        tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+        costs: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+      });
+    }
+
+    const group = groups.get(id);
+    const usage = entry.usage || {};
+    group.calls += entry.calls || 1;
+    group.cost += entry.cost;
+    group.tokens.input += usage.input || 0;
+    group.tokens.output += usage.output || 0;
+    group.tokens.cacheRead += usage.cacheRead || 0;
+    group.tokens.cacheWrite += (usage.cacheWrite || 0) + (usage.cacheWrite1h || 0);
+    for (const c of Object.keys(group.costs)) group.costs[c] += (entry.costs || {})[c] || 0;
+  }
+
+  // Grouped spend: { groupBy: [...dims], filter, from, to, top, sortBy: cost|calls|tokens }
+  breakdown(options = {}) {
+    const groupBy = [].concat(options.groupBy || 'model');
+    const from = options.from ? new Date(options.from).getTime() : -Infinity;
+    const to = options.to ? new Date(options.to).getTime() : Infinity;
+    const groups = new Map();
+
+    for (const entry of this.entries) {
+      const ts = new Date(entry.timestamp).getTime();
+      if (ts < from || ts > to || !CostAttribution.matches(entry, options.filter)) continue;
+      CostAttribution.accumulate(groups, groupBy, entry);
+    }
+
+    const total = [...groups.values()].reduce((s, g) => s + g.cost, 0);
+    const sortBy = options.sortBy || 'cost';
+    const metric = g => sortBy === 'tokens' ? Object.values(g.tokens).reduce((a, b) => a + b, 0) : g[sortBy];
+    const rows = [...groups.values()]
+      .map(g => ({ ...g, share: total ? g.cost / total : 0 }))
+      .sort((a, b) => metric(b) - metric(a));
+
+    return options.top ? rows.slice(0, options.top) : rows;
+  }
+}
+
+CostAttribution.NONE = NONE;
+CostAttribution.DIMENSIONS = Object.keys(DIMENSIONS);
+
+module.exports = CostAttribution;
+
+// CLI usage
+if (require.main === module) {
+  const now = new Date().toISOString();
+  const entries = [
+    { timestamp: now, model: 'sonnet-4-5', cost: 0.5, tags: { team: 'search', feature: 'rerank' } },
+    { timestamp: now, model: 'haiku-4-5', cost: 0.1, tags: { team: 'search', feature: 'classify' } },
+    { timestamp: now, model: 'sonnet-4-5', cost: 0.9, tags: { team: 'ads' } }
+  ];
+  console.log(new CostAttribution(entries).breakdown({ groupBy: ['team', 'model'] }));
+}
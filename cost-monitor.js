@@ -4,101 +4,399 @@
  * Minimal, efficient cost tracking with optimization recommendations
  */
 
-class ClaudeCostMonitor {
-  constructor() {
-    this.costs = { 'haiku-4-5': [1, 5], 'sonnet-4-5': [3, 15], 'opus-4-5': [5, 25] };
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const PricingTable = require('./pricing');
+const ModelRegistry = require('./model-registry');
+const BudgetManager = require('./budgets');
+const UsageTimeSeries = require('./timeseries');
+const RecommendationEngine = require('./recommendations');
+const CostAttribution = require('./cost-attribution');
+const UsageLedger = require('./usage-ledger');
+
+const { BudgetExceededError } = BudgetManager;
+
+const MAX_OPEN_STREAMS = 1000;
+
+class ClaudeCostMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.pricing = options.pricing || (options.priceSheet ? PricingTable.fromFile(options.priceSheet) : new PricingTable());
+    this.registry = options.registry || new ModelRegistry({ pricing: this.pricing, strict: options.strict });
     this.usage = new Map();
+    this.entries = []; // recent window for analysis; the ledger, when attached, holds full history
+    this.maxEntries = options.maxEntries ?? 10000;
+    this.rollups = new Map(); // hourly totals per model, batch flag and tags for entries trimmed from the window
+    this.labelTotals = new Map(); // label set -> cumulative per model + tag groups, kept current by apply()
+    this.ledger = options.ledger || null;
+    this.budgets = options.budgets instanceof BudgetManager ? options.budgets : new BudgetManager(options.budgets || []);
+    this.alerts = options.alerts || {}; // { webhook, script }
+    this.recommendations = options.recommendations || new RecommendationEngine();
+    this.defaultTags = options.tags || {}; // merged under per-call tags (e.g. service, region)
+    this.streams = new Map(); // message id -> { message, meta } from message_start, awaiting message_delta
+  }
+
+  // Build a monitor from the costOptimization.monitoring config section
+  static fromConfig(config = require('./optimized-config.json'), options = {}) {
+    const section = config.agents?.defaults?.costOptimization?.monitoring || config.monitoring || config;
+    return new ClaudeCostMonitor({
+      ...options,
+      budgets: BudgetManager.fromConfig(section),
+      alerts: { webhook: section.alertWebhook, script: section.alertScript, ...options.alerts }
+    });
+  }
+
+  // Add a budget: { name, period: daily|monthly|total, soft, hard, model, tags, enforce }
+  addBudget(def) {
+    return this.budgets.describe(this.budgets.add(def));
+  }
+
+  // Current spend against every budget
+  getBudgetStatus(at = null) {
+    return this.budgets.status(at);
+  }
+
+  // Rebuild a monitor from a persisted usage ledger
+  static fromLedger(ledger, options = {}) {
+    const monitor = new ClaudeCostMonitor({ ...options, ledger });
+    monitor.loadLedger();
+    return monitor;
+  }
+
+  // Replay ledger entries into the in-memory stats (recorded costs are authoritative)
+  loadLedger(ledger = this.ledger) {
+    const entries = ledger.readAll();
+    entries.forEach(entry => this.apply(entry));
+    return entries.length;
   }
 
-  // Calculate cost for API call
-  calculateCost(model, inputTokens, outputTokens, cacheReads = 0) {
-    const [inp, out] = this.costs[this.normalizeModel(model)] || [3, 15];
-    const inputCost = ((inputTokens - cacheReads) / 1e6) * inp;
-    const cacheReadCost = (cacheReads / 1e6) * inp * 0.1; // 90% savings
-    const outputCost = (outputTokens / 1e6) * out;
-    return inputCost + cacheReadCost + outputCost;
+  // Price each usage component: { input, output, cacheWrite, cacheRead, total } (cacheWrite covers 5m and 1h writes)
+  priceUsage(model, usage, options = {}) {
+    return this.pricing.price(this.normalizeModel(model), usage, options);
   }
 
-  // Track usage
-  trackUsage(model, inputTokens, outputTokens, cacheReads = 0) {
-    const key = this.normalizeModel(model);
-    const cost = this.calculateCost(model, inputTokens, outputTokens, cacheReads);
+  // Calculate cost for API call (token counts are disjoint, as the API reports them)
+  calculateCost(model, inputTokens, outputTokens, cacheReads = 0, options = {}) {
+    return this.priceUsage(model, this.toUsage(inputTokens, outputTokens, cacheReads, options), options).total;
+  }
+
+  // Track usage (options: { cacheWrite, cacheWrite1h, batch, tags, prompt | promptHash, deferrable })
+  trackUsage(model, inputTokens, outputTokens, cacheReads = 0, options = {}) {
+    return this.record(model, this.toUsage(inputTokens, outputTokens, cacheReads, options), options);
+  }
+
+  // Track a Messages API response, batch result line or streaming event. A stream's message_start is held until its
+  // message_delta (matched by meta.messageId, or the only open stream) so each streamed call is recorded once.
+  trackResponse(response, meta = {}) {
+    if (response?.type === 'message_start') return this.openStream(response.message, meta);
+    if (response?.type === 'message_delta') {
+      const start = this.closeStream(meta.messageId);
+      if (start) {
+        response = { model: start.message.model, usage: { ...start.message.usage, ...response.usage } }; // delta usage is cumulative
+        meta = { ...start.meta, ...meta };
+      }
+    }
+    const parsed = this.parseResponse(response, meta);
+    if (!parsed) return 0; // errored/expired/canceled batch results are not billed
+    return this.record(parsed.model, parsed.usage, { ...meta, batch: parsed.batch });
+  }
+
+  // Hold a stream's opening usage; the oldest open stream is recorded as-is past MAX_OPEN_STREAMS (never finished)
+  openStream(message, meta) {
+    this.streams.delete(message.id);
+    this.streams.set(message.id, { message, meta });
+    if (this.streams.size > MAX_OPEN_STREAMS) {
+      const [id, oldest] = this.streams.entries().next().value;
+      this.streams.delete(id);
+      return this.trackResponse(oldest.message, oldest.meta);
+    }
+    return 0;
+  }
+
+  closeStream(id) {
+    const key = id ?? (this.streams.size === 1 ? this.streams.keys().next().value : undefined);
+    const start = this.streams.get(key);
+    this.streams.delete(key);
+    return start;
+  }
+
+  // Extract model, token breakdown and batch flag from an API payload
+  parseResponse(response, meta = {}) {
+    let message = response;
+    let batch = Boolean(meta.batch);
+
+    if (response?.result && response.custom_id !== undefined) {
+      if (response.result.type !== 'succeeded') return null;
+      message = response.result.message;
+      batch = true;
+    } else if (response?.type === 'message_start') {
+      message = response.message;
+    }
+
+    const usage = message?.usage;
+    if (!usage) throw new Error('Response has no usage block');
+
+    const model = meta.model || message.model;
+    if (!model) throw new Error('Model unknown: pass meta.model for streaming events');
+
+    const creation = usage.cache_creation_input_tokens || 0;
+    const split = usage.cache_creation;
+    const oneHour = split ? split.ephemeral_1h_input_tokens || 0 : meta.cacheTtl === '1h' ? creation : 0;
+
+    return {
+      model,
+      batch: batch || usage.service_tier === 'batch',
+      usage: {
+        input: usage.input_tokens || 0,
+        output: usage.output_tokens || 0,
+        cacheRead: usage.cache_read_input_tokens || 0,
+        cacheWrite: split ? split.ephemeral_5m_input_tokens || 0 : creation - oneHour,
+        cacheWrite1h: oneHour
+      }
+    };
+  }
+
+  // Record priced usage against its model
+  record(model, usage, options = {}) {
+    const costs = this.priceUsage(model, usage, options);
+    const { total, ...components } = costs;
+    const entry = {
+      timestamp: new Date().toISOString(),
+      model: this.normalizeModel(model),
+      usage: { ...usage },
+      batch: Boolean(options.batch),
+      cost: total,
+      costs: components,
+      tags: { ...this.defaultTags, ...options.tags }
+    };
+    const promptHash = options.promptHash || (options.prompt && this.hashPrompt(options.prompt));
+    if (promptHash) entry.promptHash = promptHash;
+    if (options.deferrable) entry.deferrable = true;
+    
+    this.apply(entry);
+    if (this.ledger) this.ledger.append(entry);
+    this.checkBudgets(entry);
+    
+    return total;
+  }
+
+  // Emit budget:warning / budget:exceeded and reject spend past enforced hard limits
+  checkBudgets(entry) {
+    for (const { type, budget } of this.budgets.evaluate(entry)) {
+      const payload = { event: `budget:${type}`, budget, entry, timestamp: entry.timestamp };
+      this.emit(payload.event, payload);
+      if (this.alerts.webhook || this.alerts.script) {
+        BudgetManager.deliverAlert(this.alerts, payload).catch(err => this.emit('alert:error', err, payload));
+      }
+    }
+    
+    const [violation] = this.budgets.violations(entry);
+    if (violation) throw new BudgetExceededError(violation);
+  }
+
+  // Add a priced entry (or ledger rollup) to the per-model stats
+  apply(entry) {
+    const key = entry.model;
+    const calls = entry.calls || 1;
+    const usage = entry.usage || {};
     
     if (!this.usage.has(key)) {
-      this.usage.set(key, { calls: 0, input: 0, output: 0, cache: 0, cost: 0 });
+      this.usage.set(key, {
+        calls: 0, batchCalls: 0, input: 0, output: 0, cache: 0, cacheWrite: 0, cost: 0,
+        costs: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+      });
     }
     
+    this.entries.push(entry);
+    // Trim in chunks so long-lived monitors stay bounded without shifting the array on every call
+    if (this.entries.length > this.maxEntries * 1.25) this.trim();
+    this.budgets.apply(entry);
+    for (const { groupBy, groups } of this.labelTotals.values()) CostAttribution.accumulate(groups, groupBy, entry);
+    
     const stats = this.usage.get(key);
-    stats.calls++;
-    stats.input += inputTokens;
-    stats.output += outputTokens;
-    stats.cache += cacheReads;
-    stats.cost += cost;
+    stats.calls += calls;
+    if (entry.batch) stats.batchCalls += calls;
+    stats.input += usage.input || 0;
+    stats.output += usage.output || 0;
+    stats.cache += usage.cacheRead || 0;
+    stats.cacheWrite += (usage.cacheWrite || 0) + (usage.cacheWrite1h || 0);
+    stats.cost += entry.cost;
+    for (const c of PricingTable.COMPONENTS) stats.costs[c] += entry.costs[c] || 0;
+  }
+
+  // Move the oldest entries out of the window into hourly rollups, so totals still cover every call
+  trim() {
+    const removed = this.entries.splice(0, this.entries.length - this.maxEntries);
+    if (this.ledger) return; // the ledger keeps them
+    for (const entry of removed) {
+      UsageLedger.rollUp(this.rollups, entry, `${entry.timestamp.slice(0, 13)}:00:00.000Z`, entry.rollup || 'hour');
+    }
+  }
+
+  // Map positional token counts onto pricing components
+  toUsage(inputTokens, outputTokens, cacheReads = 0, options = {}) {
+    return {
+      input: inputTokens,
+      output: outputTokens,
+      cacheRead: cacheReads,
+      cacheWrite: options.cacheWrite || 0,
+      cacheWrite1h: options.cacheWrite1h || 0
+    };
+  }
+
+  // Raw numeric report data (exporters and generateReport build on this); options: { granularity, labels }
+  getReportData(options = {}) {
+    const models = [];
+    const summary = {
+      calls: 0, batchCalls: 0, cost: 0,
+      tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+      costs: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+    };
+    
+    for (const [model, stats] of this.usage.entries()) {
+      const row = {
+        model,
+        calls: stats.calls,
+        batchCalls: stats.batchCalls,
+        tokens: { input: stats.input, output: stats.output, cacheRead: stats.cache, cacheWrite: stats.cacheWrite },
+        cost: stats.cost,
+        costs: { ...stats.costs },
+        avgCostPerCall: stats.calls ? stats.cost / stats.calls : 0,
+        cacheHitRatio: stats.cache / (stats.input + stats.cache) || 0
+      };
+      models.push(row);
+      
+      summary.calls += row.calls;
+      summary.batchCalls += row.batchCalls;
+      summary.cost += row.cost;
+      for (const t of Object.keys(summary.tokens)) summary.tokens[t] += row.tokens[t];
+      for (const c of PricingTable.COMPONENTS) summary.costs[c] += row.costs[c];
+    }
+    
+    summary.avgCostPerCall = summary.calls ? summary.cost / summary.calls : 0;
+    summary.cacheHitRatio = summary.tokens.cacheRead / (summary.tokens.input + summary.tokens.cacheRead) || 0;
+    
+    const data = {
+      generatedAt: new Date().toISOString(),
+      priceSheet: this.pricing.version,
+      currency: this.pricing.currency,
+      models,
+      summary,
+      timeSeries: this.usage.size ? this.getTimeSeries({ granularity: options.granularity || 'daily' }) : []
+    };
+    
+    // Per model + tag rows, e.g. labels: ['team'] for labelled Prometheus series (cumulative, so counters never drop)
+    if (options.labels?.length) {
+      data.labelled = this.labelledTotals(options.labels).map(g => {
+        const { model, ...labels } = g.key;
+        return {
+          model, labels, calls: g.calls, tokens: g.tokens, cost: g.cost, costs: g.costs,
+          cacheHitRatio: g.tokens.cacheRead / (g.tokens.input + g.tokens.cacheRead) || 0
+        };
+      });
+    }
     
-    return cost;
+    return data;
+  }
+
+  // Cumulative per model + tag totals for a label set: built from history on first use, then updated by apply()
+  labelledTotals(labels) {
+    const groupBy = ['model', ...labels];
+    const id = JSON.stringify(groupBy);
+    if (!this.labelTotals.has(id)) {
+      const groups = new Map();
+      this.history().forEach(entry => CostAttribution.accumulate(groups, groupBy, entry));
+      this.labelTotals.set(id, { groupBy, groups });
+    }
+    return [...this.labelTotals.get(id).groups.values()];
   }
 
   // Generate report
   generateReport() {
-    let totalCost = 0, totalCalls = 0;
+    const data = this.getReportData();
     const models = {};
     
-    for (const [model, stats] of this.usage.entries()) {
-      totalCost += stats.cost;
-      totalCalls += stats.calls;
-      
-      models[model] = {
-        ...stats,
-        avgCostPerCall: (stats.cost / stats.calls).toFixed(6),
-        cacheEfficiency: ((stats.cache / (stats.input + stats.cache)) * 100 || 0).toFixed(1) + '%'
+    for (const row of data.models) {
+      models[row.model] = {
+        calls: row.calls,
+        batchCalls: row.batchCalls,
+        input: row.tokens.input,
+        output: row.tokens.output,
+        cache: row.tokens.cacheRead,
+        cacheWrite: row.tokens.cacheWrite,
+        cost: row.cost,
+        costs: row.costs,
+        avgCostPerCall: row.avgCostPerCall.toFixed(6),
+        cacheEfficiency: (row.cacheHitRatio * 100).toFixed(1) + '%'
       };
     }
     
     return {
       models,
       summary: {
-        totalCost: totalCost.toFixed(4),
-        totalCalls,
-        avgCostPerCall: (totalCost / (totalCalls || 1)).toFixed(6)
+        totalCost: data.summary.cost.toFixed(4),
+        totalCalls: data.summary.calls,
+        avgCostPerCall: data.summary.avgCostPerCall.toFixed(6),
+        costBreakdown: Object.fromEntries(Object.entries(data.summary.costs).map(([c, v]) => [c, v.toFixed(4)])),
+        priceSheet: data.priceSheet
       }
     };
   }
 
-  // Get optimization recommendations
-  getOptimizations() {
-    const recs = [];
-    const report = this.generateReport();
-    
-    if (report.models['sonnet-4-5']?.calls > 0) {
-      recs.push({
-        type: 'model-downgrade',
-        message: 'Consider Haiku for simple tasks (67% savings)',
-        impact: 'High'
+  // Entries behind time series, breakdowns and recommendations: the ledger's full history when one is
+  // attached, else hourly rollups of trimmed calls followed by the in-memory window (the last maxEntries calls)
+  history() {
+    return this.ledger ? this.ledger.readAll() : [...this.rollups.values(), ...this.entries];
+  }
+
+  // Spend rollups: { granularity: hourly|daily|weekly, from, to }
+  getTimeSeries(options = {}) {
+    return new UsageTimeSeries(this.history()).rollup(options);
+  }
+
+  // Month-end spend projection, checked against unscoped monthly budgets
+  forecast(options = {}) {
+    const result = new UsageTimeSeries(this.history()).forecast(options);
+    result.budgets = this.budgets.status()
+      .filter(b => b.period === 'monthly' && !b.model && !b.tags)
+      .map(b => {
+        const limit = b.hard ?? b.soft;
+        return { name: b.name, limit, projectedUtilization: result.projectedMonthEnd / limit, onTrack: result.projectedMonthEnd <= limit };
       });
-    }
-    
-    for (const [model, stats] of Object.entries(report.models)) {
-      if (parseFloat(stats.cacheEfficiency) < 50) {
-        recs.push({
-          type: 'caching',
-          message: `Improve ${model} caching (current: ${stats.cacheEfficiency})`,
-          impact: 'High'
-        });
-      }
-    }
-    
-    return recs;
+    return result;
+  }
+
+  // Spend grouped by tags and built-in dimensions: { groupBy, filter, from, to, top, sortBy }
+  getCostBreakdown(options = {}) {
+    return new CostAttribution(this.history()).breakdown(options);
+  }
+
+  // Top-N spenders along one dimension (e.g. 'team', 'feature', 'model')
+  topSpenders(dimension, n = 10, options = {}) {
+    return this.getCostBreakdown({ ...options, groupBy: [dimension], top: n });
   }
 
+  // Evidence-based recommendations with estimated monthly savings and confidence
+  getOptimizations() {
+    return this.recommendations.analyze(this.history(), this.pricing, this.registry);
+  }
+
+  // Stable short hash so repeated prompts can be spotted without storing them
+  hashPrompt(prompt) {
+    const text = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+  }
+
+  // Registry key for any model name (strict mode throws on unknown models)
   normalizeModel(model) {
-    const m = model.toLowerCase();
-    if (m.includes('haiku')) return 'haiku-4-5';
-    if (m.includes('sonnet')) return 'sonnet-4-5';
-    if (m.includes('opus')) return 'opus-4-5';
-    return 'sonnet-4-5';
+    return this.registry.resolve(model).key;
   }
 }
 
+ClaudeCostMonitor.BudgetExceededError = BudgetExceededError;
+ClaudeCostMonitor.UnknownModelError = ModelRegistry.UnknownModelError;
+ClaudeCostMonitor.UNTAGGED = CostAttribution.NONE;
+
 module.exports = ClaudeCostMonitor;
 
 // CLI usage
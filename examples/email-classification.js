@@ -29,8 +29,13 @@ Respond with ONLY the category name.`;
    * Classify a single email with optimization
    */
   async classifyEmail(email) {
-    // Check response cache first
-    const cached = this.responseCache.get(email.subject, 'haiku-4-5');
+    // Check response cache first (keyed on the full request, system prompt included)
+    const request = {
+      model: 'claude-haiku-4-5',
+      system: this.systemPrompt,
+      messages: [{ role: 'user', content: email.subject }]
+    };
+    const cached = this.responseCache.get(request);
     if (cached) {
       return { ...cached, source: 'cache' };
     }
@@ -53,7 +58,7 @@ Respond with ONLY the category name.`;
     };
 
     // Cache the response
-    this.responseCache.set(email.subject, result, 'haiku-4-5');
+    this.responseCache.set(request, result);
 
     return result;
   }
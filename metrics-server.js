@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Metrics Server - HTTP endpoints for scraping ClaudeCostMonitor data
+ * /metrics (Prometheus text), /report (generateReport JSON), /health
+ */
+
+const http = require('http');
+const ReportExporter = require('./report-exporters');
+
+class MetricsServer {
+  // source: a ClaudeCostMonitor, or a function returning one per request (e.g. reloading a ledger)
+  constructor(source, options = {}) {
+    this.getMonitor = typeof source === 'function' ? source : () => source;
+    this.labels = ReportExporter.checkLabelNames(options.labels || []); // tag names exported as Prometheus labels
+    this.exporter = options.exporter || new ReportExporter();
+    this.startedAt = Date.now();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Route a request to its endpoint
+  handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') return this.send(res, 405, 'text/plain', 'Method Not Allowed\n');
+
+    try {
+      if (pathname === '/health') {
+        return this.send(res, 200, 'application/json', JSON.stringify({
+          status: 'ok', uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+        }));
+      }
+      if (pathname === '/metrics') {
+        const data = this.getMonitor().getReportData({ labels: this.labels });
+        return this.send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', this.exporter.export('prometheus', data));
+      }
+      if (pathname === '/report') {
+        return this.send(res, 200, 'application/json', JSON.stringify(this.getMonitor().generateReport(), null, 2));
+      }
+      this.send(res, 404, 'text/plain', 'Not Found\n');
+    } catch (error) {
+      this.send(res, 500, 'application/json', JSON.stringify({ status: 'error', error: error.message }));
+    }
+  }
+
+  send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  }
+
+  // Start listening; resolves with the bound port
+  listen(port = 9464, host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = MetricsServer;
+
+// CLI usage
+if (require.main === module) {
+  const ClaudeCostMonitor = require('./cost-monitor');
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 1000, 500, 800, { tags: { team: 'search' } });
+  new MetricsServer(monitor, { labels: ['team'] }).listen(Number(process.argv[2]) || 9464)
+    .then(port => console.log(`Metrics on http://localhost:${port}/metrics`));
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Model Registry - Canonical Claude model IDs, aliases, limits, lifecycle dates and pricing
+ * Shared by the monitor, router, batch processor and benchmark; strict mode rejects unknown models
+ */
+
+const PricingTable = require('./pricing');
+
+// Latency class by family (records may override)
+const LATENCY = { haiku: 'fast', sonnet: 'standard', opus: 'slow' };
+const ALL = ['vision', 'tools', 'thinking'];
+const NO_THINKING = ['vision', 'tools'];
+
+// `key` is the short name used in reports and price sheets; first model per family is its default
+const MODELS = [
+  { id: 'claude-opus-4-5-20251101', key: 'opus-4-5', family: 'opus', current: true, aliases: ['claude-opus-4-5'], contextWindow: 200000, maxOutput: 64000, capabilities: ALL },
+  { id: 'claude-sonnet-4-5-20250929', key: 'sonnet-4-5', family: 'sonnet', current: true, aliases: ['claude-sonnet-4-5'], contextWindow: 200000, maxOutput: 64000, capabilities: ALL },
+  { id: 'claude-haiku-4-5-20251001', key: 'haiku-4-5', family: 'haiku', current: true, aliases: ['claude-haiku-4-5'], contextWindow: 200000, maxOutput: 64000, capabilities: ALL },
+  { id: 'claude-opus-4-1-20250805', key: 'opus-4-1', family: 'opus', aliases: ['claude-opus-4-1'], contextWindow: 200000, maxOutput: 32000, capabilities: ALL },
+  { id: 'claude-opus-4-20250514', key: 'opus-4', family: 'opus', aliases: ['claude-opus-4-0', 'claude-opus-4'], contextWindow: 200000, maxOutput: 32000, capabilities: ALL },
+  { id: 'claude-sonnet-4-20250514', key: 'sonnet-4', family: 'sonnet', aliases: ['claude-sonnet-4-0', 'claude-sonnet-4'], contextWindow: 200000, maxOutput: 64000, capabilities: ALL },
+  { id: 'claude-3-7-sonnet-20250219', key: 'sonnet-3-7', family: 'sonnet', aliases: ['claude-3-7-sonnet-latest'], contextWindow: 200000, maxOutput: 64000, deprecatedOn: '2025-10-28', retiresOn: '2026-02-19', capabilities: ALL },
+  { id: 'claude-3-5-haiku-20241022', key: 'haiku-3-5', family: 'haiku', aliases: ['claude-3-5-haiku-latest'], contextWindow: 200000, maxOutput: 8192, deprecatedOn: '2025-10-28', retiresOn: '2026-02-19', capabilities: NO_THINKING },
+  { id: 'claude-3-5-sonnet-20241022', key: 'sonnet-3-5', family: 'sonnet', aliases: ['claude-3-5-sonnet-latest', 'claude-3-5-sonnet-20240620'], contextWindow: 200000, maxOutput: 8192, deprecatedOn: '2025-08-13', retiresOn: '2025-10-22', capabilities: NO_THINKING },
+  { id: 'claude-3-opus-20240229', key: 'opus-3', family: 'opus', aliases: ['claude-3-opus-latest'], contextWindow: 200000, maxOutput: 4096, deprecatedOn: '2025-06-30', retiresOn: '2026-01-05', capabilities: NO_THINKING },
+  { id: 'claude-3-haiku-20240307', key: 'haiku-3', family: 'haiku', aliases: [], contextWindow: 200000, maxOutput: 4096, capabilities: NO_THINKING }
+];
+
+class UnknownModelError extends Error {
+  constructor(name) {
+    super(`Unknown model: ${name}`);
+    this.name = 'UnknownModelError';
+    this.model = name;
+  }
+}
+
+class ModelRegistry {
+  constructor(options = {}) {
+    this.strict = Boolean(options.strict);
+    this.fallback = options.fallback || 'sonnet-4-5';
+    this.pricing = options.pricing || new PricingTable();
+    this.models = new Map();
+    this.index = new Map();
+    (options.models || MODELS).forEach(m => this.register(m));
+  }
+
+  // Add a model; its id, key and aliases all resolve to it
+  register(model) {
+    const record = { aliases: [], capabilities: [], latency: LATENCY[model.family] || 'standard', ...model };
+    this.models.set(record.key, record);
+    [record.id, record.key, ...record.aliases].forEach(name => this.index.set(name.toLowerCase(), record));
+    return record;
+  }
+
+  // Strip provider prefixes and platform suffixes (anthropic/, Bedrock, Vertex @dates)
+  canonicalName(name) {
+    return String(name).trim().toLowerCase()
+      .replace(/^(?:[a-z]{2}\.)?anthropic\./, '')
+      .replace(/^[\w.-]+\//, '')
+      .replace(/-v\d+(?::\d+)?$/, '')
+      .replace('@', '-');
+  }
+
+  // Resolve any model name to its registry record (with current pricing)
+  resolve(name, options = {}) {
+    const strict = options.strict ?? this.strict;
+    const canonical = this.canonicalName(name);
+    let record = this.index.get(canonical);
+    let guessed = false;
+
+    if (!record) {
+      if (strict) throw new UnknownModelError(name);
+      const family = ['opus', 'sonnet', 'haiku'].find(f => canonical.includes(f));
+      record = family ? [...this.models.values()].find(m => m.family === family) : this.models.get(this.fallback);
+      guessed = true;
+    }
+
+    return { ...record, guessed, pricing: this.pricing.getRates(record.key) };
+  }
+
+  // Whether a name resolves without guessing
+  has(name) {
+    return this.index.has(this.canonicalName(name));
+  }
+
+  // Whether a model has a capability (vision, tools, thinking)
+  supports(name, capability) {
+    return this.resolve(name).capabilities.includes(capability);
+  }
+
+  // Lifecycle status on a date: active | deprecated | retired
+  status(name, at = new Date()) {
+    const model = this.resolve(name);
+    const day = new Date(at).toISOString().slice(0, 10);
+    if (model.retiresOn && day >= model.retiresOn) return 'retired';
+    if (model.deprecatedOn && day >= model.deprecatedOn) return 'deprecated';
+    return 'active';
+  }
+
+  // Registry records, optionally only current-generation or not-yet-retired models
+  list(options = {}) {
+    return [...this.models.values()]
+      .filter(m => !options.current || m.current)
+      .filter(m => !options.available || this.status(m.key, options.at) !== 'retired')
+      .map(m => this.resolve(m.key));
+  }
+
+  // Cheapest current model by input price (the default downgrade target)
+  cheapest() {
+    return this.list({ current: true })
+      .filter(m => m.pricing)
+      .sort((a, b) => a.pricing.input - b.pricing.input)[0];
+  }
+}
+
+ModelRegistry.UnknownModelError = UnknownModelError;
+ModelRegistry.MODELS = MODELS;
+ModelRegistry.LATENCY = Object.values(LATENCY); // fastest first
+
+module.exports = ModelRegistry;
+
+// CLI usage
+if (require.main === module) {
+  const registry = new ModelRegistry();
+  const names = process.argv.slice(2);
+  if (names.length) {
+    names.forEach(n => console.log(n, '→', registry.resolve(n)));
+  } else {
+    console.table(registry.list().map(m => ({
+      id: m.id, key: m.key, input: m.pricing?.input, output: m.pricing?.output,
+      context: m.contextWindow, maxOutput: m.maxOutput, status: registry.status(m.key)
+    })));
+  }
+}
@@ -1,82 +1,413 @@
 #!/usr/bin/env node
 /**
  * Model Router - Intelligent model selection based on task complexity
- * Minimalist dynamic routing for 67% cost savings
+ * Four tiers (simple, medium, complex, critical) mapped to models by costOptimization.modelSelection
  */
 
+const crypto = require('crypto');
+const ModelRegistry = require('./model-registry');
+const ComplexityClassifier = require('./complexity-classifier');
+const RoutingRules = require('./routing-rules');
+const AdaptiveRouting = require('./adaptive-routing');
+const RoutingExperiments = require('./routing-experiments');
+
+class RoutingConstraintError extends Error {
+  constructor(rejected) {
+    const detail = rejected.map(r => `${r.model}: ${r.reasons.join(', ')}`).join('; ');
+    super(`No model satisfies the routing constraints (${detail})`);
+    this.name = 'RoutingConstraintError';
+    this.rejected = rejected;
+  }
+}
+
+const TIERS = ['simple', 'medium', 'complex', 'critical'];
+
+// Same shape as costOptimization.modelSelection in optimized-config.json (patterns are regex sources)
+const DEFAULT_SELECTION = {
+  simple: 'anthropic/claude-haiku-4-5',
+  medium: 'anthropic/claude-haiku-4-5',
+  complex: 'anthropic/claude-sonnet-4-5',
+  critical: 'anthropic/claude-opus-4-5',
+  baseline: 'anthropic/claude-sonnet-4-5',
+  thresholds: { simple: 0.3, medium: 0.6 },
+  patterns: {
+    critical: ['\\b(security audit|penetration test|vulnerabilit(y|ies)|legal (review|advice)|compliance|medical|diagnos(is|e)|production (incident|outage)|mission[- ]critical)\\b']
+  }
+};
+
+// Budget policy steps: past `at` utilization, tiers are routed as the mapped cheaper tier. The default
+// steps come from the tier mapping (see budgetSteps): one tier down at 70%, everything but critical to simple at 90%
+const BUDGET_THRESHOLDS = { stepDown: 0.7, floor: 0.9 };
+
+const toRegExps = patterns => patterns && patterns.map(p => p instanceof RegExp ? p : new RegExp(p, 'i'));
+
 class ModelRouter {
-  constructor() {
-    this.simplePatterns = [/classify|extract|tag|translate|format|summarize|faq/i];
-    this.complexPatterns = [/analyze|generate|design|refactor|code|algorithm|architecture/i];
-    this.models = { simple: 'anthropic/claude-haiku-4-5', complex: 'anthropic/claude-sonnet-4-5' };
+  // options.modelSelection: { simple, medium, complex, critical, baseline, thresholds, patterns, rules, experiments, budgetPolicy }
+  constructor(options = {}) {
+    const selection = { ...DEFAULT_SELECTION, ...options.modelSelection };
+    const thresholds = { ...DEFAULT_SELECTION.thresholds, ...selection.thresholds };
+    const patterns = { ...DEFAULT_SELECTION.patterns, ...selection.patterns };
+
+    this.registry = options.registry || new ModelRegistry({ strict: options.strict });
+    this.models = Object.fromEntries(TIERS.map(tier => [tier, selection[tier]]));
+    this.baseline = selection.baseline;
+    this.criticalPatterns = toRegExps(patterns.critical);
+    this.classifier = options.classifier || new ComplexityClassifier({
+      ...options,
+      simplePatterns: options.simplePatterns || toRegExps(patterns.simple),
+      complexPatterns: options.complexPatterns || toRegExps(patterns.complex),
+      tiers: options.tiers || [
+        { tier: 'simple', below: thresholds.simple },
+        { tier: 'medium', below: thresholds.medium },
+        { tier: 'complex', below: thresholds.complex ?? Infinity },
+        ...(thresholds.complex !== undefined ? [{ tier: 'critical', below: Infinity }] : [])
+      ]
+    });
+    this.minConfidence = options.minConfidence ?? 0.6;
+    this.rules = options.rules instanceof RoutingRules ? options.rules : new RoutingRules(options.rules || selection.rules);
+    // options.adaptive: an AdaptiveRouting, true, or its options (e.g. { statePath }) to learn from recordOutcome
+    if (options.adaptive instanceof AdaptiveRouting) this.adaptive = options.adaptive;
+    else this.adaptive = options.adaptive ? new AdaptiveRouting(options.adaptive === true ? {} : options.adaptive) : null;
+    this.experiments = options.experiments instanceof RoutingExperiments
+      ? options.experiments : new RoutingExperiments(options.experiments || selection.experiments);
+    // With a ClaudeCostMonitor, routing degrades as budgets fill (budgetPolicy: false disables)
+    this.monitor = options.monitor || null;
+    const budgetPolicy = options.budgetPolicy ?? selection.budgetPolicy;
+    this.budgetPolicy = budgetPolicy === false ? null : { budget: null, steps: this.budgetSteps(), ...budgetPolicy };
   }
 
-  // Classify task complexity
-  classifyComplexity(prompt) {
-    const text = prompt.toLowerCase();
-    const wordCount = text.split(/\s+/).length;
-    
-    for (const pattern of this.simplePatterns) {
-      if (pattern.test(text)) return wordCount < 100 ? 'simple' : 'medium';
-    }
-    
-    for (const pattern of this.complexPatterns) {
-      return 'complex'; // Complex patterns → complex classification
-    }
-    
-    return wordCount < 30 ? 'simple' : wordCount > 150 ? 'complex' : 'medium';
+  // Router for costOptimization.modelSelection in an OpenClaw-style config
+  static fromConfig(config = require('./optimized-config.json'), options = {}) {
+    const section = config.agents?.defaults?.costOptimization?.modelSelection || config.modelSelection || config;
+    return new ModelRouter({ ...options, modelSelection: { ...section, ...options.modelSelection } });
+  }
+
+  // Classify task complexity (tier only)
+  classifyComplexity(prompt, context = {}) {
+    return this.classify(prompt, context).tier;
   }
 
-  // Select optimal model
+  // Full classification: { tier, confidence, features }; critical patterns or context.critical force 'critical'
+  classify(prompt, context = {}) {
+    const classification = this.classifier.classify(prompt, context);
+    const { text } = ComplexityClassifier.normalize(prompt, context);
+    const critical = context.critical || this.criticalPatterns.some(p => p.test(text));
+    if (!critical || classification.tier === 'critical') return classification;
+
+    return {
+      ...classification,
+      tier: 'critical',
+      confidence: 1,
+      features: [{ name: 'criticalRule', value: 1, contribution: 0 }, ...classification.features]
+    };
+  }
+
+  // Model for a complexity tier
+  modelFor(complexity) {
+    const model = this.models[complexity];
+    if (!model) throw new Error(`No model configured for tier: ${complexity}`);
+    return model;
+  }
+
+  // Select optimal model: pins, then declarative rules, then the classifier; `explain` traces the decision.
+  // Low-confidence results name a safer model; escalateLowConfidence picks it.
+  // Constraints: { tier, model, capabilities, requiresReasoning, tools, minContextWindow, maxTokens, maxCostPerRequest, latency }
   selectModel(prompt, options = {}) {
-    const complexity = this.classifyComplexity(prompt);
-    const model = complexity === 'complex' ? this.models.complex : this.models.simple;
-    const savingsPercent = complexity === 'complex' ? 0 : 67;
+    if (options.model && !this.registry.has(options.model)) {
+      throw new RoutingConstraintError([{ model: options.model, reasons: ['not in the model registry'] }]);
+    }
+    const classification = this.classify(prompt, options);
+    const { text, depth } = ComplexityClassifier.normalize(prompt, options);
+    const pinned = options.model || options.tier;
+    const { rule, trace } = pinned
+      ? { rule: null, trace: [] }
+      : this.rules.evaluate({ text, tags: options.tags, tokens: this.constraints(prompt, options).inputTokens, messages: depth + 1 });
+
+    const adaptive = this.adaptive && !pinned && !rule
+      ? this.adaptive.choose(options.category || classification.tier, this.escalationTiers(classification.tier))
+      : null;
+    const complexity = options.tier || rule?.tier || adaptive?.tier || classification.tier;
+    const lowConfidence = !pinned && !rule && classification.confidence < this.minConfidence;
+    const saferModel = this.modelFor(complexity === 'critical' ? 'critical' : 'complex');
+    const steps = [];
+    let preferred;
+
+    if (options.model) {
+      preferred = options.model;
+      steps.push(`model pinned to ${preferred}`);
+    } else if (options.tier) {
+      preferred = this.modelFor(complexity);
+      steps.push(`tier pinned to ${complexity} → ${preferred}`);
+    } else if (rule) {
+      preferred = rule.model || this.modelFor(complexity);
+      steps.push(`rule "${rule.name}" matched → ${rule.model || `${complexity} → ${preferred}`}`);
+    } else {
+      preferred = lowConfidence && options.escalateLowConfidence ? saferModel : this.modelFor(complexity);
+      steps.push(`classifier scored ${classification.score ?? 'n/a'} → ${classification.tier} (confidence ${classification.confidence})`);
+      if (adaptive && adaptive.tier !== classification.tier) steps.push(`adaptive: category "${options.category || classification.tier}" learned to use ${complexity}`);
+      if (lowConfidence && options.escalateLowConfidence) steps.push(`low confidence, escalated to ${saferModel}`);
+    }
+
+    // Traffic splits: sticky by userId/sessionId within the request's category
+    const experiment = pinned ? null : this.experiments.assign(options.category || complexity, options.userId ?? options.sessionId);
+    if (experiment) {
+      if (experiment.arm === 'candidate') preferred = experiment.candidate;
+      steps.push(`experiment "${experiment.name}": ${experiment.arm} arm${experiment.arm === 'candidate' ? ` → ${preferred}` : ''}`);
+    }
+
+    const budget = options.model ? null : this.budgetOverride(complexity, preferred);
+    if (budget) {
+      preferred = budget.to;
+      steps.push(`budget "${budget.budget}" at ${Math.round(budget.utilization * 100)}%: ${budget.from} → ${budget.to}`);
+    }
+
+    const { model, rejected } = this.applyConstraints(preferred, prompt, options);
+    rejected.forEach(r => steps.push(`${r.model} rejected: ${r.reasons.join(', ')}`));
+    if (model !== preferred) steps.push(`constraints chose ${model}`);
+
+    const costSavings = this.costSavings(model, prompt, options);
+    const baseline = this.label(this.baseline);
+    const requestId = this.adaptive || experiment ? options.requestId || crypto.randomUUID() : undefined;
+    if (adaptive) this.adaptive.track(requestId, { category: options.category || classification.tier, tier: adaptive.tier });
+    if (experiment) this.experiments.track(requestId, experiment);
     
     return {
+      ...(requestId && { requestId }),
       model,
       complexity,
+      confidence: classification.confidence,
+      lowConfidence,
+      ...(lowConfidence && { saferModel }),
+      ...(rejected.length && { constrained: { preferred, rejected } }),
+      features: classification.features,
       reasoning: this.getReasoning(complexity),
-      estimatedSavings: { percentage: savingsPercent, description: savingsPercent > 0 ? `${savingsPercent}% vs Sonnet` : 'Standard cost' }
+      ...(budget && { budgetOverride: budget }),
+      ...(experiment && { experiment: { name: experiment.name, arm: experiment.arm, tags: experiment.tags } }),
+      explain: { rule: rule ? rule.name : null, rules: trace, steps },
+      estimatedCostSavings: costSavings,
+      estimatedSavings: {
+        percentage: Math.max(0, costSavings.percentage),
+        description: costSavings.percentage > 0 ? `${costSavings.percentage}% vs ${baseline}`
+          : costSavings.percentage < 0 ? `${-costSavings.percentage}% more than ${baseline}` : 'Standard cost'
+      }
+    };
+  }
+
+  // Default budget steps for this tier mapping: first each tier below critical moves to the nearest lower tier
+  // with a cheaper model, then all of them move to simple (only critical keeps a premium model)
+  budgetSteps() {
+    const price = t => this.registry.resolve(this.modelFor(t)).pricing?.input ?? 0;
+    const downgradable = TIERS.slice(1, TIERS.indexOf('critical'));
+    const stepDown = {};
+    for (const tier of downgradable) {
+      const cheaper = TIERS.slice(0, TIERS.indexOf(tier)).reverse().find(t => price(t) < price(tier));
+      if (cheaper) stepDown[tier] = cheaper;
+    }
+    return [
+      { at: BUDGET_THRESHOLDS.stepDown, downgrade: stepDown },
+      { at: BUDGET_THRESHOLDS.floor, downgrade: Object.fromEntries(downgradable.map(t => [t, 'simple'])) }
+    ];
+  }
+
+  // Budget pressure: the fullest budget (or budgetPolicy.budget) and the step it has reached
+  budgetPressure(at = new Date()) {
+    if (!this.monitor || !this.budgetPolicy) return null;
+    const { budget: name, steps } = this.budgetPolicy;
+    const budgets = this.monitor.getBudgetStatus(at)
+      .filter(b => name ? b.name === name : !b.model && !b.tags)
+      .sort((a, b) => b.utilization - a.utilization);
+    if (!budgets.length) return null;
+
+    const step = steps.filter(s => budgets[0].utilization >= s.at).sort((a, b) => b.at - a.at)[0];
+    return step ? { budget: budgets[0], step } : null;
+  }
+
+  // Cheaper model forced by budget pressure: { budget, utilization, tier, from, to } or null. Every non-critical
+  // request is capped at its step's tier (or its own tier's model), whether rules, experiments or low-confidence
+  // escalation picked the preferred model.
+  budgetOverride(complexity, preferred) {
+    const pressure = this.budgetPressure();
+    if (!pressure || complexity === 'critical') return null;
+    const tier = pressure.step.downgrade[complexity] || complexity;
+
+    const to = this.modelFor(tier);
+    const price = m => this.registry.resolve(m).pricing?.input ?? 0;
+    if (price(to) >= price(preferred)) return null;
+    return { budget: pressure.budget.name, utilization: pressure.budget.utilization, tier, from: preferred, to };
+  }
+
+  // Report how a routed request went: { accepted, escalated, qualityScore } (needs adaptive routing or experiments)
+  recordOutcome(requestId, outcome = {}) {
+    if (!this.adaptive && !this.experiments.size) throw new Error('Outcome tracking is not enabled: pass options.adaptive or options.experiments');
+    const experiment = this.experiments.record(requestId, outcome);
+    const adaptive = this.adaptive ? this.adaptive.record(requestId, outcome) : null;
+    return adaptive || experiment;
+  }
+
+  // A tier and the tiers above it with a different model, each with its price relative to the priciest tier
+  escalationTiers(tier) {
+    const price = t => this.registry.resolve(this.modelFor(t)).pricing?.input || 0;
+    const max = Math.max(...TIERS.map(price));
+    const tiers = [];
+    for (const t of TIERS.slice(TIERS.indexOf(tier))) {
+      if (!tiers.length || this.modelFor(t) !== this.modelFor(tiers[tiers.length - 1].tier)) tiers.push({ tier: t, costShare: max ? price(t) / max : 0 });
+    }
+    return tiers;
+  }
+
+  // Requirements from options plus what the prompt itself needs (image blocks need vision)
+  constraints(prompt, options = {}) {
+    const capabilities = new Set(options.capabilities || []);
+    if (options.requiresReasoning) capabilities.add('thinking');
+    if (options.tools && options.tools.length) capabilities.add('tools');
+    if (Array.isArray(prompt) && prompt.some(m => Array.isArray(m.content) && m.content.some(b => b.type === 'image'))) {
+      capabilities.add('vision');
+    }
+
+    const inputTokens = options.inputTokens ?? Math.ceil(JSON.stringify(prompt).length / 4);
+    const outputTokens = options.maxTokens ?? 1024;
+    return {
+      capabilities: [...capabilities],
+      inputTokens,
+      outputTokens,
+      contextWindow: Math.max(options.minContextWindow || 0, inputTokens + outputTokens),
+      maxCost: options.maxCostPerRequest,
+      latency: options.latency
     };
   }
 
+  // Reasons a model fails the constraints (empty when it fits)
+  violations(model, constraints) {
+    const record = this.registry.resolve(model);
+    const reasons = constraints.capabilities.filter(c => !record.capabilities.includes(c)).map(c => `no ${c} support`);
+
+    if (record.contextWindow < constraints.contextWindow) reasons.push(`needs ${constraints.contextWindow} tokens of context, has ${record.contextWindow}`);
+    if (record.maxOutput < constraints.outputTokens) reasons.push(`max output ${record.maxOutput} < ${constraints.outputTokens}`);
+    if (constraints.maxCost !== undefined && record.pricing) {
+      const cost = (constraints.inputTokens * record.pricing.input + constraints.outputTokens * record.pricing.output) / 1e6;
+      if (cost > constraints.maxCost) reasons.push(`estimated $${cost.toFixed(4)} > $${constraints.maxCost} limit`);
+    }
+    if (constraints.latency) {
+      const order = ModelRegistry.LATENCY;
+      if (order.indexOf(record.latency) > order.indexOf(constraints.latency)) reasons.push(`latency ${record.latency}, wanted ${constraints.latency}`);
+    }
+    return reasons;
+  }
+
+  // Keep the preferred model if it fits; otherwise the nearest fitting model, escalating before downgrading.
+  // Pins (options.model, or options.tier's model) are never substituted: a conflict throws instead.
+  applyConstraints(preferred, prompt, options = {}) {
+    const constraints = this.constraints(prompt, options);
+    const candidates = options.model || options.tier ? [preferred] : this.candidates(preferred);
+    const rejected = [];
+
+    for (const model of candidates) {
+      const reasons = this.violations(model, constraints);
+      if (!reasons.length) return { model, rejected };
+      rejected.push({ model, reasons });
+    }
+    throw new RoutingConstraintError(rejected);
+  }
+
+  // Preferred model, then pricier current models ascending, then cheaper ones descending
+  candidates(preferred) {
+    const price = m => this.registry.resolve(m).pricing?.input ?? 0;
+    const base = price(preferred);
+    const pool = this.registry.list({ current: true })
+      .map(m => `anthropic/${m.aliases[0] || m.id}`)
+      .filter(m => this.registry.resolve(m).key !== this.registry.resolve(preferred).key);
+    const up = pool.filter(m => price(m) >= base).sort((a, b) => price(a) - price(b));
+    const down = pool.filter(m => price(m) < base).sort((a, b) => price(b) - price(a));
+    return [preferred, ...up, ...down];
+  }
+
+  // Estimated request cost vs the baseline model: { baseline, cost, baselineCost, amount, percentage }
+  costSavings(model, prompt, options = {}) {
+    const { inputTokens, outputTokens } = this.constraints(prompt, options);
+    const estimate = m => {
+      const rates = this.registry.resolve(m).pricing;
+      return (inputTokens * rates.input + outputTokens * rates.output) / 1e6;
+    };
+    const cost = estimate(model);
+    const baselineCost = estimate(this.baseline);
+
+    return {
+      baseline: this.baseline,
+      cost,
+      baselineCost,
+      amount: baselineCost - cost,
+      percentage: baselineCost ? Math.round((1 - cost / baselineCost) * 100) : 0
+    };
+  }
+
+  // Input-price saving of a model vs a baseline, from registry pricing
+  savingsPercent(model, baseline = this.baseline) {
+    const price = this.registry.resolve(model).pricing;
+    const base = this.registry.resolve(baseline).pricing;
+    return Math.max(0, Math.round((1 - price.input / base.input) * 100));
+  }
+
+  // Display name for a model, e.g. "Sonnet 4.5"
+  label(model) {
+    const { key, family } = this.registry.resolve(model);
+    return `${family[0].toUpperCase()}${family.slice(1)} ${key.slice(family.length + 1).replace('-', '.')}`;
+  }
+
   getReasoning(complexity) {
+    const name = this.label(this.models[complexity]);
     const reasons = {
-      simple: 'Haiku recommended - optimal for this task',
-      medium: 'Haiku as starting point - upgrade if needed',
-      complex: 'Sonnet required - complex reasoning needed'
+      simple: `${name} recommended - optimal for this task`,
+      medium: `${name} as starting point - upgrade if needed`,
+      complex: `${name} required - complex reasoning needed`,
+      critical: `${name} required - critical task, highest quality tier`
     };
     return reasons[complexity];
   }
 
-  // Batch routing
-  batchRoute(prompts) {
-    return prompts.map((prompt, i) => ({
-      index: i,
-      prompt: prompt.substring(0, 50),
-      ...this.selectModel(prompt)
-    }));
+  // Batch routing: items are prompts or { prompt, ...options }; each result keeps its explain trace
+  batchRoute(prompts, options = {}) {
+    return prompts.map((item, i) => {
+      const { prompt, ...itemOptions } = typeof item === 'object' && !Array.isArray(item) ? item : { prompt: item };
+      const text = ComplexityClassifier.normalize(prompt, itemOptions).text;
+      return {
+        index: i,
+        prompt: text.substring(0, 50),
+        ...this.selectModel(prompt, { ...options, ...itemOptions })
+      };
+    });
   }
 
-  // Statistics
+  // Statistics: tier distribution plus estimated dollars vs the baseline model
   generateStats(results) {
-    const dist = { simple: 0, medium: 0, complex: 0 };
+    const dist = Object.fromEntries(TIERS.map(tier => [tier, 0]));
     let savings = 0;
+    let projectedCost = 0;
+    let baselineCost = 0;
     
     results.forEach(r => {
       dist[r.complexity]++;
       savings += r.estimatedSavings.percentage;
+      if (r.estimatedCostSavings) {
+        projectedCost += r.estimatedCostSavings.cost;
+        baselineCost += r.estimatedCostSavings.baselineCost;
+      }
     });
     
     return {
       distribution: dist,
       averageSavings: Math.round(savings / results.length),
+      projectedCost,
+      baselineCost,
       totalRequests: results.length
     };
   }
 }
 
+ModelRouter.RoutingConstraintError = RoutingConstraintError;
+ModelRouter.TIERS = TIERS;
+ModelRouter.DEFAULT_SELECTION = DEFAULT_SELECTION;
+ModelRouter.BUDGET_THRESHOLDS = BUDGET_THRESHOLDS;
+
 module.exports = ModelRouter;
 
 // CLI usage
@@ -87,7 +418,8 @@ if (require.main === module) {
     'Analyze architecture',
     'Classify email',
     'Design system',
-    'What is 2+2?'
+    'What is 2+2?',
+    'Security audit of the auth flow'
   ];
   
   console.log('Routing Results:');
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Pricing - Per-component pricing for Claude API usage
+ * Price sheets load from JSON so rates can be updated without code changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPONENTS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+const DEFAULT_MULTIPLIERS = { cacheWrite5m: 1.25, cacheWrite1h: 2, cacheRead: 0.1, batch: 0.5 };
+const DEFAULT_SHEET = path.join(__dirname, 'pricing.json');
+
+class PricingTable {
+  constructor(sheet = null) {
+    this.load(sheet || JSON.parse(fs.readFileSync(DEFAULT_SHEET, 'utf8')));
+  }
+
+  // Load a price sheet from a JSON file
+  static fromFile(file) {
+    return new PricingTable(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  // Replace the active price sheet
+  load(sheet) {
+    if (!sheet || typeof sheet.models !== 'object') {
+      throw new Error('Price sheet must define a "models" object');
+    }
+    this.version = sheet.version || 'custom';
+    this.currency = sheet.currency || 'USD';
+    this.unit = sheet.unit || 1e6;
+    this.multipliers = { ...DEFAULT_MULTIPLIERS, ...sheet.multipliers };
+    this.models = { ...sheet.models };
+    return this;
+  }
+
+  // Rates per unit for a model (explicit sheet rates win over multipliers)
+  getRates(model) {
+    const base = this.models[model];
+    if (!base) return null;
+
+    const m = this.multipliers;
+    return {
+      input: base.input,
+      output: base.output,
+      cacheWrite5m: base.cacheWrite5m ?? base.input * m.cacheWrite5m,
+      cacheWrite1h: base.cacheWrite1h ?? base.input * m.cacheWrite1h,
+      cacheRead: base.cacheRead ?? base.input * m.cacheRead,
+      batch: base.batch ?? m.batch
+    };
+  }
+
+  // Price each usage component: { input, output, cacheWrite, cacheRead, total } (cacheWrite covers 5m and 1h writes)
+  price(model, usage = {}, options = {}) {
+    const rates = this.getRates(model);
+    if (!rates) throw new Error(`No pricing for model: ${model}`);
+
+    const factor = options.batch ? rates.batch : 1;
+    const cost = (tokens, rate) => ((tokens || 0) / this.unit) * rate * factor;
+    const costs = {
+      input: cost(usage.input, rates.input),
+      output: cost(usage.output, rates.output),
+      cacheWrite: cost(usage.cacheWrite, rates.cacheWrite5m) + cost(usage.cacheWrite1h, rates.cacheWrite1h),
+      cacheRead: cost(usage.cacheRead, rates.cacheRead)
+    };
+    costs.total = COMPONENTS.reduce((sum, c) => sum + costs[c], 0);
+    return costs;
+  }
+}
+
+PricingTable.COMPONENTS = COMPONENTS;
+
+module.exports = PricingTable;
+
+// CLI usage
+if (require.main === module) {
+  const table = process.argv[2] ? PricingTable.fromFile(process.argv[2]) : new PricingTable();
+  const usage = { input: 1000, output: 500, cacheWrite: 2000, cacheRead: 8000 };
+  console.log(`Price sheet ${table.version} (${table.currency} per ${table.unit} tokens)`);
+  for (const model of Object.keys(table.models)) {
+    console.log(model, 'standard:', table.price(model, usage), 'batch:', table.price(model, usage, { batch: true }));
+  }
+}
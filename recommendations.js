@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Recommendation Engine - Evidence-based savings recommendations from recorded usage
+ * Each rule quantifies an estimated monthly dollar saving and a confidence; rules are pluggable
+ */
+
+const DAY = 86400000;
+
+// Confidence grows with evidence: certainty of the rule scaled by sample size
+const confidence = (certainty, samples) => Number((certainty * (1 - Math.exp(-samples / 10))).toFixed(2));
+const perCall = (entry, value) => (value || 0) / (entry.calls || 1);
+const promptTokens = u => (u.input || 0) + (u.cacheRead || 0) + (u.cacheWrite || 0) + (u.cacheWrite1h || 0);
+
+// Map of key -> entries, in one pass
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+const RULES = [
+  {
+    id: 'model-downgrade',
+    description: 'Small prompts sent to a more expensive model than needed',
+    analyze(ctx) {
+      const cheapest = ctx.cheapestModel;
+      if (!cheapest) return [];
+      const calls = ctx.entries.filter(e => e.model !== cheapest &&
+        perCall(e, promptTokens(e.usage || {})) <= ctx.options.smallPromptTokens &&
+        perCall(e, e.usage?.output) <= ctx.options.smallOutputTokens);
+      const saving = calls.reduce((sum, e) => sum + e.cost - ctx.price(cheapest, e), 0);
+      const models = [...new Set(calls.map(e => e.model))].join(', ');
+      return {
+        saving, samples: calls.length, certainty: 0.6,
+        message: `Route small prompts on ${models} to ${cheapest}`,
+        evidence: { calls: calls.length, models, target: cheapest }
+      };
+    }
+  },
+  {
+    id: 'unused-cache-writes',
+    description: 'Cache writes that are rarely or never read back',
+    analyze(ctx) {
+      const results = [];
+      for (const [model, group] of ctx.byModel()) {
+        const writes = group.reduce((s, e) => s + (e.usage?.cacheWrite || 0) + (e.usage?.cacheWrite1h || 0), 0);
+        const reads = group.reduce((s, e) => s + (e.usage?.cacheRead || 0), 0);
+        if (!writes || reads >= writes) continue;
+
+        const writeCost = group.reduce((s, e) => s + (e.costs?.cacheWrite || 0), 0);
+        const asInput = group.reduce((s, e) => s + ctx.price(model, e, { input: (e.usage?.cacheWrite || 0) + (e.usage?.cacheWrite1h || 0) }), 0);
+        results.push({
+          saving: (writeCost - asInput) * (1 - reads / writes), samples: group.length, certainty: 0.7,
+          message: `${model}: ${writes} tokens written to cache but only ${reads} read — drop cache_control on prefixes that aren't reused`,
+          evidence: { model, cacheWriteTokens: writes, cacheReadTokens: reads }
+        });
+      }
+      return results;
+    }
+  },
+  {
+    id: 'response-caching',
+    description: 'Identical prompts sent repeatedly',
+    analyze(ctx) {
+      const groups = groupBy(ctx.entries.filter(e => e.promptHash), e => `${e.model}:${e.promptHash}`);
+      const repeated = [...groups.values()].filter(g => g.length > 1);
+      const saving = repeated.reduce((sum, g) => sum + g.slice(1).reduce((s, e) => s + e.cost, 0), 0);
+      const repeats = repeated.reduce((sum, g) => sum + g.length - 1, 0);
+      return {
+        saving, samples: repeats, certainty: 0.8,
+        message: `${repeats} calls repeated an identical prompt — serve them from ResponseCache`,
+        evidence: { distinctPrompts: repeated.length, repeatedCalls: repeats }
+      };
+    }
+  },
+  {
+    id: 'batching',
+    description: 'Deferrable traffic not using the Message Batches API',
+    analyze(ctx) {
+      const calls = ctx.entries.filter(e => e.deferrable && !e.batch);
+      const saving = calls.reduce((sum, e) => sum + e.cost - ctx.price(e.model, e, e.usage, { batch: true }), 0);
+      return {
+        saving, samples: calls.length, certainty: 0.9,
+        message: `${calls.length} deferrable calls ran at standard price — submit them via BatchProcessor`,
+        evidence: { calls: calls.length }
+      };
+    }
+  },
+  {
+    id: 'output-heavy',
+    description: 'Calls generating far more output than they read',
+    analyze(ctx) {
+      const calls = ctx.entries.filter(e => {
+        const output = perCall(e, e.usage?.output);
+        return output >= ctx.options.heavyOutputTokens && output >= 2 * perCall(e, promptTokens(e.usage || {}));
+      });
+      const outputCost = calls.reduce((sum, e) => sum + (e.costs?.output || 0), 0);
+      return {
+        saving: outputCost * ctx.options.outputReduction, samples: calls.length, certainty: 0.5,
+        message: `${calls.length} output-heavy calls — cap max_tokens and ask for concise or structured output`,
+        evidence: { calls: calls.length, outputCost }
+      };
+    }
+  }
+];
+
+class RecommendationEngine {
+  constructor(options = {}) {
+    this.options = {
+      smallPromptTokens: 2000,
+      smallOutputTokens: 1000,
+      heavyOutputTokens: 1000,
+      outputReduction: 0.25, // assumed trim from max_tokens / concise prompts
+      ...options
+    };
+    this.rules = new Map(RULES.map(r => [r.id, r]));
+  }
+
+  // Add or replace a rule: { id, description, analyze(ctx) => result | result[] }
+  register(rule) {
+    if (!rule.id || typeof rule.analyze !== 'function') throw new Error('Rule needs an id and analyze(ctx)');
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  unregister(id) {
+    return this.rules.delete(id);
+  }
+
+  // Shared analysis context handed to every rule
+  context(entries, pricing, registry) {
+    const times = entries.map(e => new Date(e.timestamp).getTime()).filter(Number.isFinite);
+    const span = times.length ? times.reduce((a, b) => Math.max(a, b)) - times.reduce((a, b) => Math.min(a, b)) : 0;
+    const observedDays = Math.max(span / DAY, 1);
+    const cheapestModel = registry.cheapest()?.key;
+
+    return {
+      entries,
+      pricing,
+      options: this.options,
+      observedDays,
+      cheapestModel,
+      // Re-price an entry's usage on another model (usage overrides replace the entry's)
+      price: (model, entry, usage = entry.usage, options = { batch: entry.batch }) => pricing.price(model, usage || {}, options).total,
+      byModel: () => groupBy(entries, e => e.model)
+    };
+  }
+
+  // Run every rule; returns recommendations sorted by estimated monthly saving
+  analyze(entries, pricing, registry) {
+    if (entries.length === 0) return [];
+
+    const ctx = this.context(entries, pricing, registry);
+    const monthly = 30 / ctx.observedDays;
+    const totalMonthly = entries.reduce((s, e) => s + e.cost, 0) * monthly;
+    const recs = [];
+
+    for (const rule of this.rules.values()) {
+      const results = [].concat(rule.analyze(ctx) || []);
+      for (const r of results) {
+        if (!(r.saving > 0)) continue;
+        const estimatedMonthlySavings = r.saving * monthly;
+        const share = totalMonthly ? estimatedMonthlySavings / totalMonthly : 0;
+        recs.push({
+          type: rule.id,
+          message: r.message,
+          impact: share >= 0.3 ? 'High' : share >= 0.1 ? 'Medium' : 'Low',
+          estimatedMonthlySavings,
+          confidence: r.confidence ?? confidence(r.certainty ?? 0.5, r.samples || 0),
+          evidence: r.evidence || {}
+        });
+      }
+    }
+
+    return recs.sort((a, b) => b.estimatedMonthlySavings - a.estimatedMonthlySavings);
+  }
+}
+
+module.exports = RecommendationEngine;
+
+// CLI usage
+if (require.main === module) {
+  const ClaudeCostMonitor = require('./cost-monitor');
+  const monitor = new ClaudeCostMonitor();
+  for (let i = 0; i < 20; i++) {
+    monitor.trackUsage('sonnet-4-5', 800, 200, 0, { prompt: 'Classify this ticket', deferrable: true });
+  }
+  monitor.trackUsage('sonnet-4-5', 500, 4000, 0, { cacheWrite: 3000 });
+  console.log(monitor.getOptimizations());
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Report Exporters - Render ClaudeCostMonitor report data as CSV, Markdown, HTML or Prometheus text
+ * Formats are pluggable: register(name, fn) where fn(data) returns a string
+ */
+
+const COMPONENTS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+const TOKEN_CLASSES = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+// Round away float noise without formatting to strings
+const round = (value, digits = 6) => Number(value.toFixed(digits));
+const usd = value => `$${value.toFixed(4)}`;
+const pct = ratio => `${(ratio * 100).toFixed(1)}%`;
+const snake = name => name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function promLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Labels the Prometheus exporter sets itself; tags may not reuse them
+const RESERVED_LABELS = ['model', 'class', 'component'];
+
+const promLabelName = name => name.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+
+// Tag names become valid Prometheus label names
+function promLabelNames(tags) {
+  return Object.fromEntries(Object.entries(tags).map(([k, v]) => [promLabelName(k), v]));
+}
+
+// Throw if a tag name would collide with an exporter label once sanitized
+function checkLabelNames(names) {
+  const clash = names.find(name => RESERVED_LABELS.includes(promLabelName(name)));
+  if (clash) throw new Error(`Tag "${clash}" clashes with the reserved Prometheus label (${RESERVED_LABELS.join(', ')})`);
+  return names;
+}
+
+// Horizontal SVG bar chart for the HTML report
+function barChart(title, rows) {
+  const max = Math.max(...rows.map(r => r.value), 0) || 1;
+  const height = rows.length * 28 + 10;
+  const bars = rows.map((r, i) => {
+    const width = Math.round((r.value / max) * 360);
+    const y = i * 28 + 5;
+    return `<text x="0" y="${y + 16}">${escapeHtml(r.label)}</text>` +
+      `<rect x="140" y="${y}" width="${width}" height="20" rx="3"></rect>` +
+      `<text x="${146 + width}" y="${y + 16}">${escapeHtml(r.text)}</text>`;
+  }).join('');
+  return `<h2>${escapeHtml(title)}</h2><svg width="640" height="${height}" role="img" aria-label="${escapeHtml(title)}">${bars}</svg>`;
+}
+
+const BUILTIN = {
+  json: data => JSON.stringify(data, null, 2),
+
+  csv: data => {
+    const header = ['model', 'calls', 'batch_calls', ...TOKEN_CLASSES.map(t => `${snake(t)}_tokens`),
+      ...COMPONENTS.map(c => `${snake(c)}_cost`), 'total_cost', 'avg_cost_per_call', 'cache_hit_ratio'];
+    const row = (model, r) => [model, r.calls, r.batchCalls, ...TOKEN_CLASSES.map(t => r.tokens[t]),
+      ...COMPONENTS.map(c => round(r.costs[c])), round(r.cost), round(r.avgCostPerCall), round(r.cacheHitRatio, 4)];
+    const lines = [header, ...data.models.map(r => row(r.model, r)), row('TOTAL', data.summary)];
+    return lines.map(l => l.map(csvField).join(',')).join('\n') + '\n';
+  },
+
+  markdown: data => {
+    const lines = [
+      '## Claude API Cost Report',
+      '',
+      `Generated ${data.generatedAt} · price sheet \`${data.priceSheet}\``,
+      '',
+      '| Model | Calls | Input | Output | Cache Read | Cache Write | Cost | Avg/Call | Cache Hit |',
+      '|-------|------:|------:|-------:|-----------:|------------:|-----:|---------:|----------:|'
+    ];
+    for (const r of [...data.models, { model: '**Total**', ...data.summary }]) {
+      lines.push(`| ${r.model} | ${r.calls} | ${r.tokens.input} | ${r.tokens.output} | ${r.tokens.cacheRead} | ` +
+        `${r.tokens.cacheWrite} | ${usd(r.cost)} | ${usd(r.avgCostPerCall)} | ${pct(r.cacheHitRatio)} |`);
+    }
+    lines.push('', '| Component | Cost | Share |', '|-----------|-----:|------:|');
+    for (const c of COMPONENTS) {
+      lines.push(`| ${c} | ${usd(data.summary.costs[c])} | ${pct(data.summary.cost ? data.summary.costs[c] / data.summary.cost : 0)} |`);
+    }
+    return lines.join('\n') + '\n';
+  },
+
+  html: data => {
+    const rows = data.models.map(r => `<tr><td>${escapeHtml(r.model)}</td><td>${r.calls}</td><td>${r.tokens.input}</td>` +
+      `<td>${r.tokens.output}</td><td>${r.tokens.cacheRead}</td><td>${r.tokens.cacheWrite}</td>` +
+      `<td>${usd(r.cost)}</td><td>${pct(r.cacheHitRatio)}</td></tr>`).join('\n');
+    const charts = [
+      barChart('Cost by model', data.models.map(r => ({ label: r.model, value: r.cost, text: usd(r.cost) }))),
+      barChart('Cost by component', COMPONENTS.map(c => ({ label: c, value: data.summary.costs[c], text: usd(data.summary.costs[c]) })))
+    ];
+    if (data.timeSeries.length) {
+      charts.push(barChart('Spend over time', data.timeSeries.map(b => ({ label: b.start.slice(0, 10), value: b.cost, text: usd(b.cost) }))));
+    }
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Claude API Cost Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+svg text { font-size: 12px; fill: #333; }
+svg rect { fill: #d97757; }
+</style>
+</head>
+<body>
+<h1>Claude API Cost Report</h1>
+<p>Generated ${escapeHtml(data.generatedAt)} · price sheet <code>${escapeHtml(data.priceSheet)}</code></p>
+<p><strong>Total: ${usd(data.summary.cost)}</strong> across ${data.summary.calls} calls (${pct(data.summary.cacheHitRatio)} cache hit)</p>
+<table>
+<tr><th>Model</th><th>Calls</th><th>Input</th><th>Output</th><th>Cache Read</th><th>Cache Write</th><th>Cost</th><th>Cache Hit</th></tr>
+${rows}
+</table>
+${charts.join('\n')}
+</body>
+</html>
+`;
+  },
+
+  prometheus: data => {
+    const lines = [];
+    const rows = data.labelled || data.models;
+    if (data.labelled) checkLabelNames([...new Set(data.labelled.flatMap(r => Object.keys(r.labels)))]);
+    const labels = r => ({ model: r.model, ...promLabelNames(r.labels || {}) });
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      samples.forEach(([labels, value]) => lines.push(`${name}${promLabels(labels)} ${value}`));
+    };
+
+    metric('claude_api_calls_total', 'counter', 'Tracked Claude API calls.',
+      rows.map(r => [labels(r), r.calls]));
+    metric('claude_api_tokens_total', 'counter', 'Tokens by class.',
+      rows.flatMap(r => TOKEN_CLASSES.map(t => [{ ...labels(r), class: t }, r.tokens[t]])));
+    metric('claude_api_cost_dollars_total', 'counter', 'Cost in USD by pricing component.',
+      rows.flatMap(r => COMPONENTS.map(c => [{ ...labels(r), component: c }, round(r.costs[c], 9)])));
+    metric('claude_api_cache_hit_ratio', 'gauge', 'Cache reads over cacheable input tokens.',
+      rows.map(r => [labels(r), round(r.cacheHitRatio, 4)]));
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+class ReportExporter {
+  constructor() {
+    this.formats = new Map(Object.entries(BUILTIN));
+  }
+
+  // Add or replace a format: fn(data) => string
+  register(name, fn) {
+    if (typeof fn !== 'function') throw new Error(`Exporter "${name}" must be a function`);
+    this.formats.set(name, fn);
+    return this;
+  }
+
+  list() {
+    return [...this.formats.keys()];
+  }
+
+  // Render report data (from ClaudeCostMonitor.getReportData) in a format
+  export(format, data) {
+    const fn = this.formats.get(format);
+    if (!fn) throw new Error(`Unknown report format: ${format} (available: ${this.list().join(', ')})`);
+    return fn(data);
+  }
+}
+
+ReportExporter.promLabels = promLabels;
+ReportExporter.checkLabelNames = checkLabelNames;
+ReportExporter.RESERVED_LABELS = RESERVED_LABELS;
+
+module.exports = ReportExporter;
+
+// CLI usage
+if (require.main === module) {
+  const ClaudeCostMonitor = require('./cost-monitor');
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 1000, 500, 800);
+  monitor.trackUsage('sonnet-4-5', 2000, 1000, 0, { cacheWrite: 1500 });
+  console.log(new ReportExporter().export(process.argv[2] || 'markdown', monitor.getReportData()));
+}
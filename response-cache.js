@@ -1,86 +1,502 @@
 #!/usr/bin/env node
 /**
- * Response Cache - Application-level response caching with LRU eviction
- * Reduce redundant API calls with minimal memory overhead
+ * Response Cache - Application-level response caching with LRU, LFU or TTL-priority eviction
+ * Keys are SHA-256 hashes of the canonicalized request, so distinct requests never share an entry
+ * Entries live in a pluggable store (memory, file, log or Redis-compatible; see cache-stores.js)
+ * Namespaces can opt in to near-duplicate lookup (see similarity-index.js); all others stay exact-match
+ * getOrCompute coalesces concurrent misses into one producer call and can serve stale entries while refreshing
  */
 
+const crypto = require('crypto');
+const ModelRegistry = require('./model-registry');
+const { MemoryStore, createStore } = require('./cache-stores');
+const SimilarityIndex = require('./similarity-index');
+const { ExpiryHeap, createPolicy } = require('./cache-eviction');
+
+// Request fields that change the response; metadata, stream and the like are ignored by default
+const KEY_FIELDS = ['model', 'system', 'messages', 'temperature', 'max_tokens', 'top_p', 'top_k', 'tools', 'tool_choice', 'stop_sequences', 'thinking'];
+
+// JSON with object keys sorted at every level
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Serialized size of a response, as counted against maxBytes
+function byteSize(response) {
+  return Buffer.byteLength(JSON.stringify(response) ?? '');
+}
+
 class ResponseCache {
   constructor(options = {}) {
-    this.cache = new Map();
-    this.stats = { hits: 0, misses: 0, sets: 0 };
+    // options.store: a store instance, or memory | file | log | redis with options.storeOptions
+    this.store = typeof options.store === 'string' ? createStore(options.store, options.storeOptions) : options.store || new MemoryStore();
+    this.stats = { hits: 0, fuzzyHits: 0, misses: 0, sets: 0, rejected: 0, coalesced: 0, staleServed: 0, producerErrors: 0, evictions: { capacity: 0, bytes: 0, expired: 0 } };
     this.ttl = options.ttl || 3600000; // 1 hour
+    // getOrCompute defaults: how long past expiry an entry may be served while refreshing, or when the producer fails
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.staleIfError = options.staleIfError || 0;
+    this.inflight = new Map(); // key -> producer promise
     this.maxSize = options.maxSize || 1000;
+    this.maxBytes = options.maxBytes || Infinity; // serialized response bytes across all entries
+    // Eviction bookkeeping for sync stores (networked stores expire and evict on the server)
+    this.policy = createPolicy(options.evictionPolicy || 'lru');
+    this.expiry = new ExpiryHeap();
+    this.entries = new Map(); // key -> { bytes, expiresAt }
+    this.bytes = 0;
+    this.registry = options.registry || new ModelRegistry();
+    // Fields hashed into keys: keyFields replaces the defaults, ignoreFields removes from them
+    this.keyFields = (options.keyFields || KEY_FIELDS).filter(f => !(options.ignoreFields || []).includes(f));
+    // Near-duplicate lookup per namespace: { [namespace]: { threshold, method, shingleSize, normalize, maxEntries } }
+    this.fuzzy = {};
+    Object.entries(options.fuzzy || {}).forEach(([namespace, config]) => this.enableFuzzy(namespace, config));
+
+    if (!this.store.async) this.adopt();
+    if (options.sweepInterval) {
+      this.sweeper = setInterval(() => this.sweep(), options.sweepInterval);
+      this.sweeper.unref();
+    }
+  }
+
+  // Track entries already in a persistent store, least recently used first
+  adopt() {
+    const entries = this.store.keys().map(key => [key, this.store.get(key)]).filter(([, entry]) => entry);
+    entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+    entries.forEach(([key, entry]) => this.track(key, entry));
+    this.sweep();
+  }
+
+  // Stop the proactive sweep timer
+  close() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  // Opt a namespace in to near-duplicate lookup; the index is process-local and covers entries set from here on.
+  // It holds at most maxEntries keys (default maxSize): networked stores expire keys without telling this process.
+  enableFuzzy(namespace, options = {}) {
+    this.fuzzy[namespace] = new SimilarityIndex({ maxEntries: this.maxSize, ...options });
+    return this.fuzzy[namespace];
+  }
+
+  // Messages API request for a prompt string, a { prompt, ...params } object, or a request object with messages.
+  // Anything else would hash to the same key as every other such object, so it is rejected.
+  toRequest(request, model = 'haiku-4-5') {
+    if (typeof request === 'string') return { model, messages: [{ role: 'user', content: request }] };
+    if (request && Array.isArray(request.messages)) return { model, ...request };
+    if (request && typeof request.prompt === 'string') {
+      const { prompt, ...params } = request;
+      return { model, ...params, messages: [{ role: 'user', content: prompt }] };
+    }
+    throw new TypeError('Cache request must be a prompt string or an object with messages or a string prompt');
+  }
+
+  // Canonical form: selected fields only, model aliases resolved, string content as text blocks, cache_control
+  // breakpoints dropped (they change billing, not the response)
+  canonical(request, model, namespace = null) {
+    const req = this.toRequest(request, model);
+    const uncached = blocks => blocks.map(({ cache_control, ...block }) => block);
+    const text = content => typeof content === 'string' ? [{ type: 'text', text: content }] : uncached(content);
+    const canonical = {};
+
+    for (const field of this.keyFields) {
+      if (req[field] === undefined) continue;
+      if (field === 'model') canonical.model = this.registry.has(req.model) ? this.registry.resolve(req.model).key : String(req.model).toLowerCase();
+      else if (field === 'messages') canonical.messages = req.messages.map(m => ({ ...m, content: text(m.content) }));
+      else if (field === 'system') canonical.system = text(req.system);
+      else if (field === 'tools' && Array.isArray(req.tools)) canonical.tools = uncached(req.tools);
+      else canonical[field] = req[field];
+    }
+    if (namespace) canonical.namespace = namespace;
+    return canonical;
+  }
+
+  canonicalize(request, model, namespace = null) {
+    return canonicalJSON(this.canonical(request, model, namespace));
   }
 
-  // Generate cache key
-  generateKey(prompt, model = 'haiku-4-5') {
-    return Buffer.from(`${model}:${prompt}`).toString('base64').substring(0, 64);
+  // Generate cache key: SHA-256 over the canonical request (namespaced entries never collide with others)
+  generateKey(request, model = 'haiku-4-5', namespace = null) {
+    return crypto.createHash('sha256').update(this.canonicalize(request, model, namespace)).digest('hex');
   }
 
-  // Get cached response
-  get(prompt, model = 'haiku-4-5') {
-    const key = this.generateKey(prompt, model);
-    const entry = this.cache.get(key);
-    
-    if (!entry || Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
-      this.stats.misses++;
-      return null;
+  // Message text compared by fuzzy lookup, and the scope it must share: every other key field matches exactly
+  fuzzyParts(request, model) {
+    const { messages = [], ...rest } = this.canonical(request, model);
+    const blocks = m => Array.isArray(m.content) ? m.content : [];
+    const text = messages.map(m => blocks(m).filter(b => b.type === 'text').map(b => b.text).join('\n')).join('\n');
+    const shape = messages.map(m => ({ role: m.role, content: blocks(m).filter(b => b.type !== 'text') }));
+    return { text, scope: canonicalJSON({ ...rest, messages: shape }) };
+  }
+
+  // Lookup order for a request: the exact key, then near duplicates above the namespace threshold
+  *candidates(request, model, options = {}) {
+    const key = this.generateKey(request, model, options.namespace);
+    yield { key, score: 1, exact: true };
+
+    const index = this.fuzzy[options.namespace];
+    if (!index || options.exact) return;
+    const { text, scope } = this.fuzzyParts(request, model);
+    for (const match of index.search(text, scope, options.threshold)) {
+      if (match.key !== key) yield { ...match, exact: false };
     }
-    
+  }
+
+  index(request, model, key, namespace) {
+    if (!this.fuzzy[namespace]) return;
+    const { text, scope } = this.fuzzyParts(request, model);
+    this.fuzzy[namespace].add(key, text, scope);
+  }
+
+  unindex(key) {
+    Object.values(this.fuzzy).forEach(index => index.remove(key));
+  }
+
+  // Networked stores are async: use getAsync/setAsync with them
+  assertSync(method) {
+    if (this.store.async) throw new Error(`${this.store.name} store is async: use ${method}Async()`);
+  }
+
+  live(entry) {
+    return Boolean(entry) && Date.now() <= entry.expiresAt;
+  }
+
+  // Past expiry and any stale window: safe to remove
+  expired(entry, now = Date.now()) {
+    return now > (entry.staleUntil ?? entry.expiresAt);
+  }
+
+  // Access metadata stays in this instance (and drives eviction); hits never rewrite the stored entry
+  recordAccess(key, entry) {
+    if (this.store.async) return;
+    if (!this.entries.has(key)) this.track(key, entry); // written by another process sharing the store
+    const tracked = this.entries.get(key);
+    tracked.accessCount++;
+    tracked.lastAccessed = Date.now();
+    this.policy.touch(key);
+  }
+
+  // Local access metadata for a key: { accessCount, lastAccessed } or {}
+  access(key) {
+    const tracked = this.entries.get(key);
+    return tracked ? { accessCount: tracked.accessCount, lastAccessed: tracked.lastAccessed } : {};
+  }
+
+  hit(candidate, entry) {
     this.stats.hits++;
-    entry.lastAccessed = Date.now();
-    return entry.response;
-  }
-
-  // Set cached response
-  set(prompt, response, model = 'haiku-4-5', ttl = null) {
-    if (this.cache.size >= this.maxSize) this.evictLRU();
-    
-    const key = this.generateKey(prompt, model);
-    this.cache.set(key, {
-      response,
-      expiresAt: Date.now() + (ttl || this.ttl),
-      lastAccessed: Date.now()
-    });
-    
+    if (!candidate.exact) this.stats.fuzzyHits++;
+    return { response: entry.response, score: candidate.score, exact: candidate.exact, key: candidate.key };
+  }
+
+  // stale: ms the entry is retained past expiry for stale-while-revalidate / stale-if-error
+  entry(response, ttl, stale = 0) {
+    const now = Date.now();
+    const entry = { response, bytes: byteSize(response), createdAt: now, expiresAt: now + (ttl || this.ttl), lastAccessed: now, accessCount: 0 };
+    if (stale > 0) entry.staleUntil = entry.expiresAt + stale;
+    return entry;
+  }
+
+  track(key, entry) {
+    const bytes = entry.bytes ?? byteSize(entry.response);
+    this.untrack(key);
+    this.entries.set(key, { bytes, expiresAt: entry.expiresAt, accessCount: entry.accessCount || 0, lastAccessed: entry.lastAccessed });
+    this.bytes += bytes;
+    this.policy.add(key, { expiresAt: entry.expiresAt, hits: entry.accessCount });
+    this.expiry.add(key, entry.staleUntil ?? entry.expiresAt);
+  }
+
+  untrack(key) {
+    const tracked = this.entries.get(key);
+    if (!tracked) return;
+    this.bytes -= tracked.bytes;
+    this.entries.delete(key);
+    this.policy.remove(key);
+    this.expiry.remove(key);
+  }
+
+  // Drop a key from the bookkeeping and fuzzy indexes, counting an eviction reason if given
+  forget(key, reason = null) {
+    this.untrack(key);
+    this.unindex(key);
+    if (reason) this.stats.evictions[reason]++;
+  }
+
+  drop(key, reason = null) {
+    this.store.delete(key);
+    this.forget(key, reason);
+  }
+
+  // Make room for an entry under maxSize and maxBytes; false if it could never fit
+  admit(key, entry) {
+    if (entry.bytes > this.maxBytes) {
+      this.stats.rejected++;
+      return false;
+    }
+    const overCount = () => !this.entries.has(key) && this.entries.size >= this.maxSize;
+    const overBytes = () => this.bytes - (this.entries.get(key)?.bytes || 0) + entry.bytes > this.maxBytes;
+    if (!overCount() && !overBytes()) return true;
+
+    this.sweep(); // expired entries go before live ones
+    while (overCount() || overBytes()) {
+      if (this.evict(overCount() ? 'capacity' : 'bytes') === null) break;
+    }
+    return true;
+  }
+
+  // Evict the policy's victim; returns its key, or null when nothing is tracked
+  evict(reason = 'capacity') {
+    const key = this.policy.victim();
+    if (key !== null) this.drop(key, reason);
+    return key;
+  }
+
+  // Remove expired entries now instead of on their next lookup; returns how many were removed
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (let top = this.expiry.peek(); top && top.expiresAt < now; top = this.expiry.peek()) {
+      const stored = this.store.get(top.key);
+      if (stored && !this.expired(stored, now)) {
+        this.track(top.key, stored); // refreshed by another process sharing the store
+        continue;
+      }
+      this.drop(top.key, 'expired');
+      removed++;
+    }
+    return removed;
+  }
+
+  // Get cached response for a prompt string or full request object
+  // options: { namespace, threshold, exact } (threshold and exact only matter in fuzzy namespaces)
+  get(request, model = 'haiku-4-5', options = {}) {
+    this.assertSync('get');
+    const match = this.match(request, model, options);
+    return match ? match.response : null;
+  }
+
+  // Like get, with how the entry matched: { response, score, exact, key } or null
+  match(request, model = 'haiku-4-5', options = {}) {
+    this.assertSync('match');
+    for (const candidate of this.candidates(request, model, options)) {
+      const stored = this.store.get(candidate.key);
+      if (this.live(stored) && !stored.error) {
+        this.recordAccess(candidate.key, stored);
+        return this.hit(candidate, stored);
+      }
+      if (!stored || this.expired(stored)) this.drop(candidate.key, stored ? 'expired' : null);
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  // Set cached response (a request object's own model takes precedence over `model`)
+  // Returns false when the response alone exceeds maxBytes and is not cached
+  set(request, response, model = 'haiku-4-5', ttl = null, options = {}) {
+    this.assertSync('set');
+    const key = this.generateKey(request, model, options.namespace);
+    if (!this.write(key, this.entry(response, ttl, options.stale))) return false;
+
+    this.index(request, model, key, options.namespace);
     this.stats.sets++;
+    return true;
+  }
+
+  write(key, entry) {
+    if (!this.admit(key, entry)) return false;
+    this.store.set(key, entry);
+    this.track(key, entry);
+    return true;
+  }
+
+  async getAsync(request, model = 'haiku-4-5', options = {}) {
+    const match = await this.matchAsync(request, model, options);
+    return match ? match.response : null;
   }
 
-  // LRU eviction
-  evictLRU() {
-    let lruKey = null;
-    let lruTime = Infinity;
-    
-    for (const [key, entry] of this.cache.entries()) {
-      if (entry.lastAccessed < lruTime) {
-        lruTime = entry.lastAccessed;
-        lruKey = key;
+  async matchAsync(request, model = 'haiku-4-5', options = {}) {
+    if (!this.store.async) return this.match(request, model, options);
+    return this.lookup(this.candidates(request, model, options));
+  }
+
+  // First live candidate, one store read each; exactEntry is the exact key's entry when the caller already read it
+  async lookup(candidates, exactEntry) {
+    for (const candidate of candidates) {
+      const stored = candidate.exact && exactEntry !== undefined ? exactEntry : await this.store.get(candidate.key);
+      if (this.live(stored) && !stored.error) {
+        this.recordAccess(candidate.key, stored);
+        return this.hit(candidate, stored);
       }
+      if (stored && !this.expired(stored)) continue; // stale or cached error, kept for getOrCompute
+      if (stored) await this.store.delete(candidate.key);
+      this.forget(candidate.key, stored ? 'expired' : null);
     }
-    
-    if (lruKey) this.cache.delete(lruKey);
+    this.stats.misses++;
+    return null;
   }
 
-  // Get statistics
+  // Networked stores bound their own size (TTL plus the server's eviction policy)
+  async setAsync(request, response, model = 'haiku-4-5', ttl = null, options = {}) {
+    if (!this.store.async) return this.set(request, response, model, ttl, options);
+    const key = this.generateKey(request, model, options.namespace);
+
+    await this.store.set(key, this.entry(response, ttl, options.stale));
+    this.index(request, model, key, options.namespace);
+    this.stats.sets++;
+    return true;
+  }
+
+  // Cached response, or the producer's result once cached. Concurrent misses on a key share one producer call.
+  // opts: { model, ttl, namespace, staleWhileRevalidate, staleIfError, cacheErrors } (windows and cacheErrors in ms)
+  async getOrCompute(request, producer, opts = {}) {
+    const model = opts.model || 'haiku-4-5';
+    const key = this.generateKey(request, model, opts.namespace);
+    const swr = opts.staleWhileRevalidate ?? this.staleWhileRevalidate;
+    const sie = opts.staleIfError ?? this.staleIfError;
+
+    const stored = await this.store.get(key);
+    if (this.live(stored) && stored.error) throw ResponseCache.cachedError(stored.error);
+
+    const hit = await this.lookup(this.candidates(request, model, opts), stored);
+    if (hit) return hit.response;
+
+    const stale = stored && !stored.error && !this.expired(stored) ? stored : null;
+    // A failure while the stale entry can still be served is not cached: the error entry would replace it
+    const staleUntil = stale ? stale.expiresAt + Math.max(swr, sie) : 0;
+    const compute = () => this.compute(key, request, producer, model, { ...opts, stale: Math.max(swr, sie), staleUntil });
+
+    if (stale && Date.now() <= stale.expiresAt + swr) {
+      this.stats.staleServed++;
+      compute().catch(() => {}); // refresh in the background; failures are counted in producerErrors
+      return stale.response;
+    }
+
+    try {
+      return await compute();
+    } catch (error) {
+      if (stale && Date.now() <= stale.expiresAt + sie) {
+        this.stats.staleServed++;
+        return stale.response;
+      }
+      throw error;
+    }
+  }
+
+  // Single-flight: one producer call per key at a time, shared by every caller that misses meanwhile
+  compute(key, request, producer, model, opts) {
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    // The producer runs on a later tick so a synchronous throw still finds this flight registered and clears it
+    const flight = (async () => {
+      try {
+        const response = await Promise.resolve().then(() => producer(request));
+        await this.setAsync(request, response, model, opts.ttl, { namespace: opts.namespace, stale: opts.stale });
+        return response;
+      } catch (error) {
+        this.stats.producerErrors++;
+        if (opts.cacheErrors && Date.now() > opts.staleUntil) await this.cacheError(key, error, opts.cacheErrors === true ? opts.ttl : opts.cacheErrors);
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, flight);
+    return flight;
+  }
+
+  // Negative caching: getOrCompute rethrows the error until it expires; get() treats it as a miss
+  async cacheError(key, error, ttl) {
+    const entry = { ...this.entry(null, ttl), error: { name: error.name, message: error.message, status: error.status } };
+    if (this.store.async) await this.store.set(key, entry);
+    else this.write(key, entry);
+  }
+
+  static cachedError(data) {
+    const error = new Error(data.message);
+    Object.assign(error, data, { cached: true });
+    return error;
+  }
+
+  // Entry details without counting a hit: { exists, accessCount, createdAt, lastAccessed, expiresAt, ttlRemaining }
+  // (access counts are this instance's hits)
+  getMetadata(request, model = 'haiku-4-5', options = {}) {
+    this.assertSync('getMetadata');
+    const key = this.generateKey(request, model, options.namespace);
+    const entry = this.store.get(key);
+    if (!entry || Date.now() > entry.expiresAt) return { exists: false };
+
+    const { response, ...meta } = entry;
+    return { exists: true, ...meta, accessCount: meta.accessCount || 0, ...this.access(key), ttlRemaining: entry.expiresAt - Date.now() };
+  }
+
+  // Live entries as portable JSON: { version, exportedAt, entries: [{ key, ...entry }] }
+  export() {
+    this.assertSync('export');
+    const now = Date.now();
+    const entries = this.store.keys()
+      .map(key => ({ key, ...this.store.get(key), ...this.access(key) }))
+      .filter(e => e.expiresAt > now);
+    return { version: 1, exportedAt: new Date(now).toISOString(), entries };
+  }
+
+  // Load exported entries, skipping expired ones: { imported, skipped }
+  import(data) {
+    this.assertSync('import');
+    if (!data || data.version !== 1 || !Array.isArray(data.entries)) throw new Error('Unsupported cache export');
+    let imported = 0;
+    for (const { key, ...entry } of data.entries) {
+      if (entry.expiresAt <= Date.now()) continue;
+      entry.bytes = entry.bytes ?? byteSize(entry.response);
+      if (!this.admit(key, entry)) continue;
+      this.store.set(key, entry);
+      this.track(key, entry);
+      imported++;
+    }
+    return { imported, skipped: data.entries.length - imported };
+  }
+
+  // Get statistics (size is null for async stores)
   getStats() {
     const total = this.stats.hits + this.stats.misses;
     return {
       hits: this.stats.hits,
+      fuzzyHits: this.stats.fuzzyHits,
       misses: this.stats.misses,
+      sets: this.stats.sets,
+      rejected: this.stats.rejected,
+      coalesced: this.stats.coalesced,
+      staleServed: this.stats.staleServed,
+      producerErrors: this.stats.producerErrors,
+      evictions: { ...this.stats.evictions },
       hitRate: total > 0 ? `${(this.stats.hits / total * 100).toFixed(1)}%` : '0%',
-      size: this.cache.size,
+      size: this.store.async ? null : this.store.size(),
       maxSize: this.maxSize,
+      bytes: this.store.async ? null : this.bytes,
+      maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+      policy: this.policy.name,
+      store: this.store.name,
       estimatedSavings: `${Math.round(this.stats.hits * 90)}% on cache hits`
     };
   }
 
   // Clear cache
   clear() {
-    this.cache.clear();
+    Object.values(this.fuzzy).forEach(index => index.clear());
+    this.policy.clear();
+    this.expiry.clear();
+    this.entries.clear();
+    this.bytes = 0;
+    return this.store.clear();
   }
 }
 
+ResponseCache.KEY_FIELDS = KEY_FIELDS;
+ResponseCache.canonicalJSON = canonicalJSON;
+
 module.exports = ResponseCache;
 
 // CLI usage
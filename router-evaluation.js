@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Router Evaluation - Accuracy of ModelRouter.classifyComplexity against a labeled dataset
+ * Confusion matrix, per-tier precision/recall and the dollar impact of each misclassification
+ */
+
+const ModelRouter = require('./model-router');
+const RoutingReplay = require('./routing-replay');
+
+class RouterEvaluation {
+  constructor(router = new ModelRouter(), options = {}) {
+    this.router = router;
+    this.outputTokens = options.outputTokens || 500; // assumed when a record has no usage
+  }
+
+  // Cost of a record's tokens on the model for a tier
+  tierCost(tier, record) {
+    const usage = record.usage ? RoutingReplay.usage(record) : null;
+    const input = usage ? usage.input : Math.ceil(JSON.stringify(record.messages || record.prompt).length / 4);
+    const output = usage ? usage.output : this.outputTokens;
+    const rates = this.router.registry.resolve(this.router.modelFor(tier)).pricing;
+    return (input * rates.input + output * rates.output) / 1e6;
+  }
+
+  // Evaluate records of { prompt | messages, tier | expected, context?, usage? }
+  evaluate(records) {
+    const tiers = ModelRouter.TIERS;
+    const matrix = Object.fromEntries(tiers.map(e => [e, Object.fromEntries(tiers.map(p => [p, 0]))]));
+    const misclassified = [];
+    const impact = {
+      underRouting: { count: 0, costDelta: 0 }, // cheaper tier than needed: quality risk
+      overRouting: { count: 0, costDelta: 0 }   // pricier tier than needed: wasted spend
+    };
+
+    for (const record of records) {
+      const expected = record.expected || record.tier;
+      if (!tiers.includes(expected)) throw new Error(`Unknown expected tier "${expected}" for: ${String(record.prompt).slice(0, 40)}`);
+      const predicted = this.router.classifyComplexity(record.messages || record.prompt, record.context || {});
+      matrix[expected][predicted]++;
+      if (predicted === expected) continue;
+
+      const direction = tiers.indexOf(predicted) < tiers.indexOf(expected) ? 'underRouting' : 'overRouting';
+      const costDelta = this.tierCost(predicted, record) - this.tierCost(expected, record);
+      impact[direction].count++;
+      impact[direction].costDelta += costDelta;
+      misclassified.push({
+        prompt: String(record.prompt || '').slice(0, 80),
+        expected,
+        predicted,
+        impact: direction,
+        costDelta
+      });
+    }
+
+    const correct = tiers.reduce((sum, t) => sum + matrix[t][t], 0);
+    const perTier = Object.fromEntries(tiers.map(tier => {
+      const predictedAs = tiers.reduce((sum, e) => sum + matrix[e][tier], 0);
+      const actual = tiers.reduce((sum, p) => sum + matrix[tier][p], 0);
+      return [tier, {
+        support: actual,
+        precision: predictedAs ? matrix[tier][tier] / predictedAs : null,
+        recall: actual ? matrix[tier][tier] / actual : null
+      }];
+    }));
+
+    return {
+      total: records.length,
+      correct,
+      accuracy: records.length ? correct / records.length : 0,
+      matrix,
+      tiers: perTier,
+      impact,
+      misclassified
+    };
+  }
+
+  // Plain-text report: confusion matrix (rows expected, columns predicted) and per-tier scores
+  static format(report) {
+    const tiers = ModelRouter.TIERS;
+    const pct = v => v === null ? '   -' : `${Math.round(v * 100)}%`.padStart(4);
+    const lines = [
+      `Accuracy: ${report.correct}/${report.total} (${pct(report.accuracy).trim()})`,
+      '',
+      `${'expected \\ predicted'.padEnd(22)}${tiers.map(t => t.padStart(10)).join('')}`,
+      ...tiers.map(e => `${e.padEnd(22)}${tiers.map(p => String(report.matrix[e][p]).padStart(10)).join('')}`),
+      '',
+      `${'tier'.padEnd(10)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'support'.padStart(10)}`,
+      ...tiers.map(t => `${t.padEnd(10)}${pct(report.tiers[t].precision).padStart(10)}${pct(report.tiers[t].recall).padStart(10)}${String(report.tiers[t].support).padStart(10)}`),
+      '',
+      `Under-routed: ${report.impact.underRouting.count} (saves $${(-report.impact.underRouting.costDelta).toFixed(4)} at quality risk)`,
+      `Over-routed:  ${report.impact.overRouting.count} (wastes $${report.impact.overRouting.costDelta.toFixed(4)})`
+    ];
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = RouterEvaluation;
+
+// CLI usage
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node router-evaluation.js dataset.jsonl');
+    process.exit(1);
+  }
+  process.stdout.write(RouterEvaluation.format(new RouterEvaluation().evaluate(RoutingReplay.load(file))));
+}
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Routing Experiments - Traffic splits and canaries for model routing
+ * Sticky assignment hashes a user or session ID; arms are tagged on monitor entries so cost and
+ * outcomes can be compared per arm
+ */
+
+const crypto = require('crypto');
+
+class RoutingExperiments {
+  constructor(experiments = []) {
+    this.experiments = new Map();
+    this.pending = new Map();
+    this.maxPending = 10000;
+    experiments.forEach(e => this.add(e));
+  }
+
+  get size() {
+    return this.experiments.size;
+  }
+
+  // Add an experiment: { name, category, candidate, percent, enabled }
+  add(def) {
+    if (!def.name || !def.candidate) throw new Error('Experiment needs a name and a candidate model');
+    const experiment = {
+      enabled: true,
+      percent: 0,
+      ...def,
+      arms: {
+        control: { assigned: 0, outcomes: 0, accepted: 0, quality: 0 },
+        candidate: { assigned: 0, outcomes: 0, accepted: 0, quality: 0 }
+      }
+    };
+    this.experiments.set(def.name, experiment);
+    return experiment;
+  }
+
+  // Change the candidate share, e.g. to ramp a canary from 5% to 50%
+  setPercent(name, percent) {
+    this.get(name).percent = Math.min(Math.max(percent, 0), 100);
+  }
+
+  stop(name) {
+    this.get(name).enabled = false;
+  }
+
+  get(name) {
+    const experiment = this.experiments.get(name);
+    if (!experiment) throw new Error(`Unknown experiment: ${name}`);
+    return experiment;
+  }
+
+  // Stable bucket in [0, 100) for a unit within an experiment
+  static bucket(name, unitId) {
+    const hash = crypto.createHash('sha256').update(`${name}:${unitId}`).digest();
+    return (hash.readUInt32BE(0) / 0x100000000) * 100;
+  }
+
+  // Arm for a request in a category: { name, arm, candidate, tags } or null when no experiment applies.
+  // Requests without a unit ID stay on control so assignment is always sticky.
+  assign(category, unitId) {
+    for (const experiment of this.experiments.values()) {
+      if (!experiment.enabled || experiment.category !== category) continue;
+      const arm = unitId !== undefined && unitId !== null && RoutingExperiments.bucket(experiment.name, unitId) < experiment.percent
+        ? 'candidate' : 'control';
+      experiment.arms[arm].assigned++;
+      return { name: experiment.name, arm, candidate: experiment.candidate, tags: { experiment: experiment.name, arm } };
+    }
+    return null;
+  }
+
+  // Remember which arm served a request until its outcome is reported
+  track(requestId, assignment) {
+    this.pending.set(requestId, assignment);
+    if (this.pending.size > this.maxPending) this.pending.delete(this.pending.keys().next().value);
+  }
+
+  // Apply an outcome { accepted, escalated, qualityScore } to the request's arm
+  record(requestId, outcome = {}) {
+    const assignment = this.pending.get(requestId);
+    if (!assignment) return null;
+    this.pending.delete(requestId);
+
+    const arm = this.get(assignment.name).arms[assignment.arm];
+    const accepted = outcome.accepted !== false && !outcome.escalated;
+    arm.outcomes++;
+    if (accepted) arm.accepted++;
+    arm.quality += outcome.qualityScore ?? (accepted ? 1 : 0);
+    return { ...assignment, ...arm };
+  }
+
+  // Per-arm comparison: assignments and outcomes here, calls and cost from the monitor's tagged entries
+  report(monitor = null) {
+    const reports = {};
+    for (const experiment of this.experiments.values()) {
+      const spend = monitor
+        ? Object.fromEntries(monitor.getCostBreakdown({ groupBy: 'arm', filter: { experiment: experiment.name } }).map(r => [r.key.arm, r]))
+        : {};
+      const arms = {};
+      for (const [name, arm] of Object.entries(experiment.arms)) {
+        const s = spend[name] || { calls: 0, cost: 0 };
+        arms[name] = {
+          model: name === 'candidate' ? experiment.candidate : 'router default',
+          assigned: arm.assigned,
+          calls: s.calls,
+          cost: s.cost,
+          avgCostPerCall: s.calls ? s.cost / s.calls : 0,
+          outcomes: arm.outcomes,
+          acceptRate: arm.outcomes ? arm.accepted / arm.outcomes : null,
+          avgQuality: arm.outcomes ? arm.quality / arm.outcomes : null
+        };
+      }
+      reports[experiment.name] = { category: experiment.category, percent: experiment.percent, enabled: experiment.enabled, arms };
+    }
+    return reports;
+  }
+}
+
+module.exports = RoutingExperiments;
+
+// CLI usage
+if (require.main === module) {
+  const experiments = new RoutingExperiments([
+    { name: 'summaries-to-haiku', category: 'complex', candidate: 'anthropic/claude-haiku-4-5', percent: 20 }
+  ]);
+  for (let user = 0; user < 1000; user++) experiments.assign('complex', `user-${user}`);
+  console.log(JSON.stringify(experiments.report(), null, 2));
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Routing Replay - Run recorded requests through one or more router policies offline
+ * Projects real dollar cost against what was actually spent, with tier distribution and downgrade/upgrade counts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ModelRouter = require('./model-router');
+const ModelRegistry = require('./model-registry');
+
+// Quality labels: numbers are scores in [0, 1]; strings/booleans are good/bad verdicts
+function isGood(quality) {
+  if (typeof quality === 'number') return quality >= 0.5;
+  if (typeof quality === 'string') return /^(good|pass|accepted|ok)$/i.test(quality);
+  return Boolean(quality);
+}
+
+class RoutingReplay {
+  // policies: { name: ModelRouter | ModelRouter options }
+  constructor(policies = { default: new ModelRouter() }, options = {}) {
+    this.registry = options.registry || new ModelRegistry();
+    this.policies = Object.fromEntries(Object.entries(policies).map(([name, p]) => [
+      name, p instanceof ModelRouter ? p : new ModelRouter({ registry: this.registry, ...p })
+    ]));
+  }
+
+  // Recorded requests from a JSONL file: { prompt | messages, model, usage, quality?, tags? } per line
+  static load(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${path.basename(file)}:${i + 1}: invalid JSON`);
+      }
+    });
+  }
+
+  // Token counts from Messages API usage or { input, output, cacheRead, cacheWrite }
+  static usage(record) {
+    const u = record.usage || {};
+    if (u.input_tokens === undefined) return { input: u.input || 0, output: u.output || 0, cacheRead: u.cacheRead || 0, cacheWrite: u.cacheWrite || 0 };
+    return {
+      input: u.input_tokens || 0,
+      output: u.output_tokens || 0,
+      cacheRead: u.cache_read_input_tokens || 0,
+      cacheWrite: u.cache_creation_input_tokens || 0
+    };
+  }
+
+  // Cost of the recorded usage on a model
+  cost(model, usage) {
+    return this.registry.pricing.price(this.registry.resolve(model).key, usage).total;
+  }
+
+  // Replay every record through every policy: { [policy]: report }
+  run(records) {
+    return Object.fromEntries(Object.entries(this.policies).map(([name, router]) => [name, this.replay(name, router, records)]));
+  }
+
+  // Projected cost, tiers and moves for one policy
+  replay(name, router, records) {
+    const report = {
+      policy: name,
+      requests: records.length,
+      actualCost: 0,
+      projectedCost: 0,
+      tiers: Object.fromEntries(ModelRouter.TIERS.map(tier => [tier, 0])),
+      models: {},
+      downgraded: 0,
+      upgraded: 0,
+      unchanged: 0,
+      errors: 0,
+      quality: { labelled: 0, downgradedGood: 0, upgradedBad: 0 }
+    };
+
+    for (const record of records) {
+      const usage = RoutingReplay.usage(record);
+      const actual = this.cost(record.model, usage);
+      const labelled = record.quality !== undefined && record.quality !== null;
+      report.actualCost += actual;
+      if (labelled) report.quality.labelled++;
+
+      let result;
+      try {
+        result = router.selectModel(record.messages || record.prompt, { tags: record.tags, inputTokens: usage.input, maxTokens: usage.output || undefined });
+      } catch (error) {
+        report.errors++;
+        report.projectedCost += actual; // unroutable requests keep their recorded model
+        continue;
+      }
+
+      const projected = this.cost(result.model, usage);
+      const key = this.registry.resolve(result.model).key;
+      report.projectedCost += projected;
+      report.tiers[result.complexity] = (report.tiers[result.complexity] || 0) + 1;
+      report.models[key] = (report.models[key] || 0) + 1;
+
+      if (projected < actual) {
+        report.downgraded++;
+        if (labelled && isGood(record.quality)) report.quality.downgradedGood++;
+      } else if (projected > actual) {
+        report.upgraded++;
+        if (labelled && !isGood(record.quality)) report.quality.upgradedBad++;
+      } else {
+        report.unchanged++;
+      }
+    }
+
+    report.savings = report.actualCost - report.projectedCost;
+    report.savingsPercent = report.actualCost ? Math.round((report.savings / report.actualCost) * 100) : 0;
+    return report;
+  }
+}
+
+RoutingReplay.isGood = isGood;
+
+module.exports = RoutingReplay;
+
+// CLI usage
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node routing-replay.js requests.jsonl');
+    process.exit(1);
+  }
+  const replay = new RoutingReplay({ default: new ModelRouter(), config: ModelRouter.fromConfig() });
+  console.log(JSON.stringify(replay.run(RoutingReplay.load(file)), null, 2));
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Routing Rules - Declarative, prioritized routing policy evaluated before the classifier
+ * Rules are plain JSON: { name, priority, match: { pattern, flags, tags, minTokens, maxTokens, minMessages, maxMessages }, tier | model }
+ */
+
+class RoutingRules {
+  constructor(rules = []) {
+    this.rules = [];
+    rules.forEach(rule => this.add(rule));
+  }
+
+  // Add a rule; higher priority first, ties keep insertion order
+  add(rule) {
+    if (!rule.tier && !rule.model) throw new Error(`Routing rule ${rule.name || this.rules.length} needs a tier or model`);
+    const match = rule.match || {};
+    const compiled = {
+      name: rule.name || `rule-${this.rules.length + 1}`,
+      priority: rule.priority || 0,
+      ...rule,
+      match,
+      regex: match.pattern !== undefined ? new RegExp(match.pattern, match.flags ?? 'i') : null,
+      order: this.rules.length
+    };
+    this.rules.push(compiled);
+    this.rules.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    return compiled;
+  }
+
+  // Why a rule does or does not match: { matched, reasons }
+  test(rule, request) {
+    const { match, regex } = rule;
+    const checks = [];
+
+    if (regex) checks.push([regex.test(request.text), `text matches ${regex}`]);
+    for (const [tag, want] of Object.entries(match.tags || {})) {
+      const value = (request.tags || {})[tag];
+      const ok = Array.isArray(want) ? want.includes(value) : value === want;
+      checks.push([ok, `tags.${tag} = ${value === undefined ? '(none)' : value}, wanted ${[].concat(want).join('|')}`]);
+    }
+    if (match.minTokens !== undefined) checks.push([request.tokens >= match.minTokens, `~${request.tokens} tokens >= ${match.minTokens}`]);
+    if (match.maxTokens !== undefined) checks.push([request.tokens <= match.maxTokens, `~${request.tokens} tokens <= ${match.maxTokens}`]);
+    if (match.minMessages !== undefined) checks.push([request.messages >= match.minMessages, `${request.messages} messages >= ${match.minMessages}`]);
+    if (match.maxMessages !== undefined) checks.push([request.messages <= match.maxMessages, `${request.messages} messages <= ${match.maxMessages}`]);
+
+    const failed = checks.filter(([ok]) => !ok);
+    return {
+      matched: failed.length === 0,
+      reasons: (failed.length ? failed : checks).map(([ok, reason]) => ok ? reason : `failed: ${reason}`)
+    };
+  }
+
+  // First matching rule plus a trace of every rule evaluated
+  // request: { text, tags, tokens, messages }
+  evaluate(request) {
+    const trace = [];
+    for (const rule of this.rules) {
+      const { matched, reasons } = this.test(rule, request);
+      trace.push({ name: rule.name, priority: rule.priority, matched, reasons });
+      if (matched) return { rule, trace };
+    }
+    return { rule: null, trace };
+  }
+}
+
+module.exports = RoutingRules;
+
+// CLI usage
+if (require.main === module) {
+  const rules = new RoutingRules([
+    { name: 'enterprise-long', priority: 10, match: { tags: { tenant: 'acme' }, minTokens: 2000 }, tier: 'complex' },
+    { name: 'refunds', match: { pattern: 'refund|chargeback' }, model: 'anthropic/claude-sonnet-4-5' }
+  ]);
+  console.log(JSON.stringify(rules.evaluate({ text: 'Process this refund', tags: { tenant: 'acme' }, tokens: 50, messages: 1 }), null, 2));
+}
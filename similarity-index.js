@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Similarity Index - Local near-duplicate matching for cached prompts
+ * Normalizes text, then scores candidates by MinHash (estimated Jaccard over word shingles) or
+ * TF-IDF cosine; no embedding service involved
+ */
+
+const NUM_HASHES = 64;
+
+// Default normalization: case, punctuation and whitespace differences are ignored
+const DEFAULT_NORMALIZE = { lowercase: true, punctuation: true, whitespace: true, stopwords: [] };
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Murmur3 finalizer, seeded per MinHash permutation
+function mix(value, seed) {
+  let h = (value ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+class SimilarityIndex {
+  constructor(options = {}) {
+    this.method = options.method || 'minhash'; // minhash | tfidf
+    if (!['minhash', 'tfidf'].includes(this.method)) throw new Error(`Unknown similarity method: ${this.method}`);
+    this.threshold = options.threshold ?? 0.85;
+    this.shingleSize = options.shingleSize || 1; // words per shingle; 2+ makes word order matter
+    this.maxEntries = options.maxEntries || Infinity; // oldest documents are dropped past this
+    this.normalizer = typeof options.normalize === 'function'
+      ? options.normalize
+      : text => SimilarityIndex.normalize(text, { ...DEFAULT_NORMALIZE, ...options.normalize });
+    this.entries = new Map(); // key -> { scope, tokens, signature, terms }
+    this.documentFrequency = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Apply normalization rules to a string
+  static normalize(text, rules = DEFAULT_NORMALIZE) {
+    let out = String(text);
+    if (rules.lowercase) out = out.toLowerCase();
+    if (rules.punctuation) out = out.replace(/[^\p{L}\p{N}\s]/gu, ' ');
+    if (rules.whitespace) out = out.replace(/\s+/g, ' ').trim();
+    if (rules.stopwords && rules.stopwords.length) {
+      const stop = new Set(rules.stopwords);
+      out = out.split(' ').filter(w => !stop.has(w)).join(' ');
+    }
+    return out;
+  }
+
+  // Word shingles of the normalized text
+  shingles(text) {
+    const words = this.normalizer(text).split(/\s+/).filter(Boolean);
+    if (words.length <= this.shingleSize) return [words.join(' ')];
+    const shingles = [];
+    for (let i = 0; i + this.shingleSize <= words.length; i++) shingles.push(words.slice(i, i + this.shingleSize).join(' '));
+    return shingles;
+  }
+
+  static minhash(shingles) {
+    const hashes = [...new Set(shingles)].map(fnv1a);
+    const signature = new Array(NUM_HASHES);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      let min = 0xffffffff;
+      for (const h of hashes) min = Math.min(min, mix(h, i + 1));
+      signature[i] = min;
+    }
+    return signature;
+  }
+
+  static termFrequencies(shingles) {
+    const terms = new Map();
+    shingles.forEach(s => terms.set(s, (terms.get(s) || 0) + 1));
+    return terms;
+  }
+
+  // Add or replace a document; scope partitions the index (only same-scope documents are compared)
+  add(key, text, scope = '') {
+    this.remove(key);
+    while (this.entries.size >= this.maxEntries) this.remove(this.entries.keys().next().value);
+    const tokens = this.shingles(text);
+    const entry = { scope, signature: SimilarityIndex.minhash(tokens), terms: SimilarityIndex.termFrequencies(tokens) };
+    entry.terms.forEach((_, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+    this.entries.set(key, entry);
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    entry.terms.forEach((_, term) => {
+      const df = this.documentFrequency.get(term) - 1;
+      if (df > 0) this.documentFrequency.set(term, df);
+      else this.documentFrequency.delete(term);
+    });
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.documentFrequency.clear();
+  }
+
+  // Smoothed IDF over the indexed documents
+  idf(term) {
+    return Math.log((1 + this.entries.size) / (1 + (this.documentFrequency.get(term) || 0))) + 1;
+  }
+
+  cosine(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    a.forEach((tf, term) => {
+      const w = tf * this.idf(term);
+      normA += w * w;
+      if (b.has(term)) dot += w * b.get(term) * this.idf(term);
+    });
+    b.forEach((tf, term) => {
+      const w = tf * this.idf(term);
+      normB += w * w;
+    });
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  score(query, entry) {
+    if (this.method === 'tfidf') return this.cosine(query.terms, entry.terms);
+    let same = 0;
+    for (let i = 0; i < NUM_HASHES; i++) if (query.signature[i] === entry.signature[i]) same++;
+    return same / NUM_HASHES;
+  }
+
+  // Documents in the scope scoring at least the threshold, best first: [{ key, score }]
+  search(text, scope = '', threshold = this.threshold) {
+    const tokens = this.shingles(text);
+    const query = { signature: SimilarityIndex.minhash(tokens), terms: SimilarityIndex.termFrequencies(tokens) };
+    const matches = [];
+    for (const [key, entry] of this.entries) {
+      if (entry.scope !== scope) continue;
+      const score = Number(Math.min(this.score(query, entry), 1).toFixed(4));
+      if (score >= threshold) matches.push({ key, score });
+    }
+    return matches.sort((a, b) => b.score - a.score);
+  }
+}
+
+SimilarityIndex.DEFAULT_NORMALIZE = DEFAULT_NORMALIZE;
+
+module.exports = SimilarityIndex;
+
+// CLI usage
+if (require.main === module) {
+  const index = new SimilarityIndex();
+  index.add('a', 'What is the capital of France?');
+  index.add('b', 'Summarize this quarterly report');
+  console.log(index.search('what is the capital of   france'));
+  console.log(index.search('capital of France, what is it', '', 0.5));
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Cascade Executor
+ */
+
+const CascadeExecutor = require('../cascade-executor');
+const ModelRouter = require('../model-router');
+const ClaudeCostMonitor = require('../cost-monitor');
+
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  }
+  console.log(`✅ PASSED: ${message}`);
+}
+
+// Fake send: replies per model from a map of model substring -> text
+function fakeSend(replies, calls = []) {
+  return async ({ model, judge }) => {
+    calls.push({ model, judge: Boolean(judge) });
+    const key = Object.keys(replies).find(k => model.includes(k));
+    const text = replies[key];
+    if (text instanceof Error) throw text;
+    return { model, content: [{ type: 'text', text }], usage: { input_tokens: 1000, output_tokens: 100 } };
+  };
+}
+
+async function testEscalatesUntilValid() {
+  const monitor = new ClaudeCostMonitor();
+  const cascade = new CascadeExecutor({
+    router: new ModelRouter(),
+    monitor,
+    send: fakeSend({ haiku: 'not json', sonnet: '{"label":"spam"}', opus: '{"label":"spam"}' }),
+    validator: { type: 'json-schema', schema: { type: 'object', required: ['label'], properties: { label: { enum: ['spam', 'ham'] } } } }
+  });
+
+  const result = await cascade.run('Classify this email as spam or ham');
+
+  assert(result.success && result.model.includes('sonnet'), 'Escalates from Haiku to Sonnet on invalid output');
+  assert(result.attempts.length === 2 && result.escalations === 1, 'Both attempts reported');
+  assert(result.attempts[0].reason === 'invalid JSON', 'Failed attempt carries its reason');
+  // Haiku: 1000*1 + 100*5 = 0.0015; Sonnet: 1000*3 + 100*15 = 0.0045
+  assert(Math.abs(result.totalCost - 0.006) < 1e-9, 'Total cost includes the failed attempt');
+  assert(monitor.entries.length === 2, 'Every attempt recorded in the monitor');
+  assert(monitor.entries[0].tags.cascadeOutcome === 'failed' && monitor.entries[1].tags.cascadeOutcome === 'passed', 'Attempts tagged with outcome');
+}
+
+async function testStartsAtRoutedModel() {
+  const calls = [];
+  const cascade = new CascadeExecutor({
+    router: new ModelRouter(),
+    send: fakeSend({ haiku: 'x', sonnet: 'ok', opus: 'ok' }, calls),
+    validator: /ok/
+  });
+
+  await cascade.run('Design a distributed architecture and refactor the code for it', { model: 'claude-sonnet-4-5' });
+  assert(calls.length === 1 && calls[0].model.includes('sonnet'), 'Cascade starts at the requested tier');
+}
+
+async function testOffLadderModelPlacedByPrice() {
+  const calls = [];
+  const cascade = new CascadeExecutor({
+    router: ModelRouter.fromConfig(),
+    send: fakeSend({ haiku: 'ok', sonnet: 'ok', opus: 'ok' }, calls),
+    validator: /ok/
+  });
+
+  // The config's complex tier is claude-sonnet-4-20250514, which is not on the default ladder
+  const result = await cascade.run('Design a distributed system architecture and refactor the legacy code for it');
+  assert(calls[0].model === 'anthropic/claude-sonnet-4-5', 'Off-ladder start model placed at the rung with the same price');
+  assert(result.attempts.length === 1, 'No wasted attempt on a cheaper tier');
+  assert(cascade.ladderIndex('claude-opus-4-1') === 2, 'Model pricier than the whole ladder starts at the top');
+
+  let error;
+  try {
+    new CascadeExecutor({ send: fakeSend({}), ladder: [] });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /ladder/.test(error.message), 'Empty ladder rejected');
+}
+
+async function testValidatorForms() {
+  const schema = CascadeExecutor.validateSchema;
+  assert(schema({ a: 1 }, { type: 'object', required: ['a'] }) === null, 'Schema accepts valid object');
+  assert(schema({ a: 'x' }, { properties: { a: { type: 'number' } } }) === '$.a should be number', 'Schema reports the failing path');
+  assert(schema([1, 'b'], { type: 'array', items: { type: 'integer' } }) === '$[1] should be integer', 'Schema checks array items');
+
+  const fnCascade = new CascadeExecutor({
+    send: fakeSend({ haiku: 'short', sonnet: 'a much longer answer', opus: 'x' }),
+    validator: text => text.length > 10 ? true : { valid: false, reason: 'too short' }
+  });
+  const result = await fnCascade.run('Explain');
+  assert(result.model.includes('sonnet') && result.attempts[0].reason === 'too short', 'Function validator with reason');
+}
+
+async function testJudgeValidator() {
+  const calls = [];
+  const monitor = new ClaudeCostMonitor();
+  const send = async ({ model, judge, prompt }) => {
+    calls.push({ model, judge: Boolean(judge) });
+    const text = judge ? (prompt.includes('good answer') ? 'PASS' : 'FAIL') : model.includes('haiku') ? 'bad answer' : 'good answer';
+    return { model, content: [{ type: 'text', text }], usage: { input_tokens: 100, output_tokens: 10 } };
+  };
+  const cascade = new CascadeExecutor({ monitor, send, validator: { type: 'judge', model: 'claude-haiku-4-5' } });
+
+  const result = await cascade.run('Answer well');
+  assert(result.model.includes('sonnet'), 'Judge rejection escalates');
+  assert(calls.filter(c => c.judge).length === 2, 'Judge called once per attempt');
+  assert(monitor.entries.filter(e => e.tags.cascadeOutcome === 'judge').length === 2, 'Judge calls are recorded as cost');
+}
+
+async function testThrowingValidator() {
+  const monitor = new ClaudeCostMonitor();
+  const send = async ({ model, judge }) => {
+    if (judge) throw new Error('judge unavailable');
+    return { model, content: [{ type: 'text', text: 'answer' }], usage: { input_tokens: 100, output_tokens: 10 } };
+  };
+  const judged = new CascadeExecutor({ monitor, send, validator: { type: 'judge' } });
+  const result = await judged.run('Answer well');
+
+  assert(!result.success && result.attempts.length === 3, 'Judge errors fail the attempt and escalate');
+  assert(result.attempts[0].reason === 'validator error: judge unavailable', 'Validator error recorded as the reason');
+  assert(monitor.entries.length === 3 && result.attempts.every(a => a.cost > 0), 'Every paid attempt is tracked');
+
+  const throwing = new CascadeExecutor({ send, validator: () => { throw new Error('bad validator'); } });
+  assert((await throwing.run('x')).attempts[0].reason === 'validator error: bad validator', 'Throwing validator function fails the attempt');
+}
+
+async function testErrorsAndStats() {
+  const cascade = new CascadeExecutor({
+    monitor: new ClaudeCostMonitor(),
+    send: fakeSend({ haiku: new Error('overloaded'), sonnet: 'ok', opus: 'ok' }),
+    validator: /ok/
+  });
+
+  await cascade.run('a');
+  await cascade.run('b');
+  const stats = cascade.getStats();
+  const haiku = stats.tiers['anthropic/claude-haiku-4-5'];
+  const sonnet = stats.tiers['anthropic/claude-sonnet-4-5'];
+
+  assert(haiku.errors === 2 && haiku.successRate === 0, 'API errors counted and escalated');
+  assert(sonnet.successes === 2 && sonnet.successRate === 1, 'Per-tier success rate');
+  assert(stats.successRate === 1 && Math.abs(stats.blendedCostPerSuccess - 0.0045) < 1e-9, 'Blended cost per success');
+
+  const exhausted = new CascadeExecutor({ send: fakeSend({ haiku: 'no', sonnet: 'no', opus: 'no' }), validator: /ok/ });
+  const result = await exhausted.run('c');
+  assert(!result.success && result.attempts.length === 3, 'Exhausted ladder reports failure with all attempts');
+}
+
+// Run all tests
+console.log('🧪 Running Cascade Executor Tests\n');
+
+(async () => {
+  try {
+    await testEscalatesUntilValid();
+    await testStartsAtRoutedModel();
+    await testOffLadderModelPlacedByPrice();
+    await testValidatorForms();
+    await testJudgeValidator();
+    await testThrowingValidator();
+    await testErrorsAndStats();
+
+    console.log('\n✅ All tests passed!');
+  } catch (error) {
+    console.error('\n❌ Test suite failed:', error);
+    process.exit(1);
+  }
+})();
@@ -4,7 +4,14 @@
  * Test Suite for Cost Monitor
  */
 
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const BudgetManager = require('../budgets');
 const ClaudeCostMonitor = require('../cost-monitor');
+const ReportExporter = require('../report-exporters');
+const MetricsServer = require('../metrics-server');
 
 function assert(condition, message) {
   if (!condition) {
@@ -90,19 +97,507 @@ function testNormalization() {
   assert(monitor.normalizeModel('claude-opus-4-5') === 'opus-4-5', 'Opus model normalization');
 }
 
+function testModelRegistry() {
+  const monitor = new ClaudeCostMonitor();
+
+  assert(monitor.normalizeModel('claude-3-haiku-20240307') === 'haiku-3', 'Dated Claude 3 Haiku ID resolved');
+  assert(monitor.normalizeModel('anthropic/claude-sonnet-4-20250514') === 'sonnet-4', 'Provider prefix stripped');
+  assert(monitor.normalizeModel('claude-opus-4-1') === 'opus-4-1', 'Opus 4.1 alias resolved');
+  assert(monitor.normalizeModel('us.anthropic.claude-haiku-4-5-20251001-v1:0') === 'haiku-4-5', 'Bedrock ID resolved');
+  assert(monitor.calculateCost('claude-opus-4-1', 1e6, 0) === 15, 'Opus 4.1 priced at its own rate');
+  assert(monitor.calculateCost('claude-3-haiku-20240307', 1e6, 0) === 0.25, 'Claude 3 Haiku priced at its own rate');
+
+  const info = monitor.registry.resolve('claude-3-5-haiku-latest');
+  assert(info.maxOutput === 8192 && info.contextWindow === 200000, 'Registry carries limits');
+  assert(monitor.registry.status(info.key, '2026-03-01') === 'retired', 'Registry carries lifecycle dates');
+
+  const strict = new ClaudeCostMonitor({ strict: true });
+  let error = null;
+  try {
+    strict.trackUsage('gpt-4o', 100, 100);
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof ClaudeCostMonitor.UnknownModelError, 'Strict mode throws on unknown models');
+  assert(strict.generateReport().summary.totalCalls === 0, 'Unknown model not recorded in strict mode');
+}
+
+function testComponentPricing() {
+  const monitor = new ClaudeCostMonitor();
+
+  const costs = monitor.priceUsage('sonnet-4-5', {
+    input: 1e6, output: 1e6, cacheWrite: 1e6, cacheWrite1h: 1e6, cacheRead: 1e6
+  });
+
+  assert(costs.input === 3 && costs.output === 15, 'Input and output priced at sheet rates');
+  assert(Math.abs(costs.cacheWrite - (3.75 + 6)) < 1e-9, 'Cache writes priced at 1.25x (5m) and 2x (1h)');
+  assert(Math.abs(costs.cacheRead - 0.3) < 1e-9, 'Cache reads priced at 0.1x input');
+  assert(Math.abs(costs.total - 28.05) < 1e-9, 'Total sums every component');
+}
+
+function testBatchDiscount() {
+  const monitor = new ClaudeCostMonitor();
+
+  const standard = monitor.calculateCost('haiku-4-5', 1000, 500);
+  const batched = monitor.trackUsage('haiku-4-5', 1000, 500, 0, { batch: true });
+
+  assert(Math.abs(batched - standard * 0.5) < 1e-12, 'Batch calls priced at 50% discount');
+  assert(monitor.generateReport().models['haiku-4-5'].batchCalls === 1, 'Batch calls counted');
+}
+
+function testPriceSheetLoading() {
+  const file = path.join(os.tmpdir(), `price-sheet-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    version: 'test-sheet',
+    models: { 'haiku-4-5': { input: 2, output: 10, cacheRead: 0.5 } }
+  }));
+
+  try {
+    const monitor = new ClaudeCostMonitor({ priceSheet: file });
+    const costs = monitor.priceUsage('haiku-4-5', { input: 1e6, cacheRead: 1e6 });
+
+    assert(costs.input === 2, 'Input price loaded from sheet');
+    assert(costs.cacheRead === 0.5, 'Explicit sheet rate overrides multiplier');
+    assert(monitor.generateReport().summary.priceSheet === 'test-sheet', 'Price sheet version reported');
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+function testCostBreakdown() {
+  const monitor = new ClaudeCostMonitor();
+
+  monitor.trackUsage('haiku-4-5', 1000, 500, 800, { cacheWrite: 2000 });
+  const report = monitor.generateReport();
+  const costs = report.models['haiku-4-5'].costs;
+
+  assert(costs.cacheWrite > 0 && costs.cacheRead > 0, 'Per-model cost broken down by component');
+  assert(report.summary.costBreakdown.output === '0.0025', 'Summary breaks down cost by component');
+}
+
+function testTrackResponse() {
+  const monitor = new ClaudeCostMonitor();
+
+  const cost = monitor.trackResponse({
+    id: 'msg_01',
+    model: 'claude-sonnet-4-5-20250929',
+    usage: {
+      input_tokens: 1e6,
+      output_tokens: 1e6,
+      cache_creation_input_tokens: 2e6,
+      cache_read_input_tokens: 1e6,
+      cache_creation: { ephemeral_5m_input_tokens: 1e6, ephemeral_1h_input_tokens: 1e6 }
+    }
+  });
+
+  const stats = monitor.generateReport().models['sonnet-4-5'];
+  assert(Math.abs(cost - 28.05) < 1e-9, 'Response priced with disjoint token classes');
+  assert(stats.input === 1e6 && stats.cache === 1e6, 'Input and cache reads recorded separately');
+  assert(stats.cacheWrite === 2e6, 'Cache creation tokens recorded');
+}
+
+function testTrackBatchAndStreaming() {
+  const monitor = new ClaudeCostMonitor();
+  const message = { model: 'claude-haiku-4-5', usage: { input_tokens: 1000, output_tokens: 500 } };
+
+  const standard = monitor.trackResponse(message);
+  const batched = monitor.trackResponse({ custom_id: 'req_1', result: { type: 'succeeded', message } });
+  const errored = monitor.trackResponse({ custom_id: 'req_2', result: { type: 'errored', error: {} } });
+  monitor.trackResponse({ type: 'message_delta', delta: {}, usage: { output_tokens: 200 } }, { model: 'haiku-4-5' });
+
+  const stats = monitor.generateReport().models['haiku-4-5'];
+  assert(Math.abs(batched - standard * 0.5) < 1e-12, 'Batch result lines get batch pricing');
+  assert(errored === 0, 'Errored batch results are not billed');
+  assert(stats.calls === 3 && stats.batchCalls === 1, 'Batch and streaming usage tracked');
+  assert(stats.output === 1200, 'Streaming output tokens recorded');
+
+  let threw = false;
+  try {
+    monitor.trackResponse({ type: 'message_delta', usage: { output_tokens: 1 } });
+  } catch (e) {
+    threw = true;
+  }
+  assert(threw, 'Streaming event without model is rejected');
+}
+
+function testStreamingEventsMerged() {
+  const monitor = new ClaudeCostMonitor();
+  const start = id => ({ type: 'message_start', message: { id, model: 'claude-haiku-4-5', usage: { input_tokens: 1000, output_tokens: 1 } } });
+
+  assert(monitor.trackResponse(start('msg_a')) === 0, 'message_start is held until its delta');
+  monitor.trackResponse({ type: 'message_delta', delta: {}, usage: { output_tokens: 200 } });
+
+  monitor.trackResponse(start('msg_b'));
+  monitor.trackResponse(start('msg_c'));
+  monitor.trackResponse({ type: 'message_delta', delta: {}, usage: { input_tokens: 1000, output_tokens: 300 } }, { messageId: 'msg_c' });
+  monitor.trackResponse({ type: 'message_delta', delta: {}, usage: { output_tokens: 100 } }, { messageId: 'msg_b' });
+
+  const stats = monitor.generateReport().models['haiku-4-5'];
+  assert(stats.calls === 3, 'Start and delta of a stream count as one call');
+  assert(stats.input === 3000 && stats.output === 600, 'Cumulative delta usage replaces, not adds to, the start usage');
+  assert(monitor.streams.size === 0, 'Finished streams are released');
+}
+
+function testBudgetEvents() {
+  const monitor = new ClaudeCostMonitor({
+    budgets: [
+      { name: 'daily', period: 'daily', soft: 0.01, hard: 0.02 },
+      { name: 'opus', period: 'monthly', hard: 0.001, model: 'opus-4-5' }
+    ]
+  });
+  const events = [];
+  monitor.on('budget:warning', e => events.push(['warning', e.budget.name]));
+  monitor.on('budget:exceeded', e => events.push(['exceeded', e.budget.name]));
+
+  monitor.trackUsage('sonnet-4-5', 1000, 500);  // $0.0105
+  monitor.trackUsage('sonnet-4-5', 1000, 500);  // $0.021
+  monitor.trackUsage('sonnet-4-5', 1000, 500);
+
+  assert(events.length === 2, 'Each threshold fires once per period');
+  assert(events[0][0] === 'warning' && events[1][0] === 'exceeded', 'Soft limit warns before hard limit');
+  assert(!events.some(e => e[1] === 'opus'), 'Model-scoped budget ignores other models');
+}
+
+function testHardLimitEnforcement() {
+  const monitor = new ClaudeCostMonitor({
+    budgets: [{ name: 'search', period: 'daily', hard: 0.01, tags: { team: 'search' }, enforce: true }]
+  });
+
+  monitor.trackUsage('sonnet-4-5', 100, 100, 0, { tags: { team: 'search' } });
+
+  let error = null;
+  try {
+    monitor.trackUsage('sonnet-4-5', 1000, 500, 0, { tags: { team: 'search' } });
+  } catch (e) {
+    error = e;
+  }
+
+  assert(error instanceof ClaudeCostMonitor.BudgetExceededError, 'Enforced hard limit rejects spend');
+  assert(error.budget.name === 'search', 'Error names the exceeded budget');
+  assert(monitor.generateReport().summary.totalCalls === 2, 'Rejected call is still accounted for');
+
+  monitor.trackUsage('sonnet-4-5', 1000, 500, 0, { tags: { team: 'ads' } });
+  assert(monitor.generateReport().summary.totalCalls === 3, 'Tag-scoped budget leaves other tags alone');
+}
+
+function testBudgetsFromConfig() {
+  const monitor = ClaudeCostMonitor.fromConfig();
+  const [budget] = monitor.getBudgetStatus();
+
+  assert(budget.name === 'alertThreshold' && budget.hard === 10, 'alertThreshold read from optimized-config.json');
+  assert(budget.period === 'daily' && !budget.enforce, 'Config threshold alerts without enforcing');
+}
+
+function testTimeSeries() {
+  const monitor = new ClaudeCostMonitor();
+  const entry = (timestamp, cost) => ({ timestamp, model: 'sonnet-4-5', cost, costs: {}, usage: { input: 100 } });
+
+  monitor.apply(entry('2025-06-02T10:00:00.000Z', 1));
+  monitor.apply(entry('2025-06-02T15:30:00.000Z', 2));
+  monitor.apply(entry('2025-06-04T09:00:00.000Z', 6));
+  monitor.apply(entry('2025-06-10T09:00:00.000Z', 1));
+
+  const daily = monitor.getTimeSeries({ granularity: 'daily', from: '2025-06-02', to: '2025-06-04T23:00:00Z' });
+  assert(daily.length === 3 && daily[1].calls === 0, 'Daily rollup fills empty days');
+  assert(daily[0].cost === 3 && daily[0].tokens.input === 200, 'Daily rollup sums cost and tokens');
+  assert(daily[2].change.cost === 6 && daily[1].change.percent === -100, 'Period-over-period deltas reported');
+
+  const weekly = monitor.getTimeSeries({ granularity: 'weekly', from: '2025-06-02', to: '2025-06-15' });
+  assert(weekly.length === 2 && weekly[0].cost === 9 && weekly[1].cost === 1, 'Weekly buckets start on Monday');
+
+  const hourly = monitor.getTimeSeries({ granularity: 'hourly', from: '2025-06-02T10:00:00Z', to: '2025-06-02T15:59:00Z' });
+  assert(hourly.length === 6 && hourly[5].cost === 2, 'Hourly rollup buckets by hour');
+}
+
+function testForecast() {
+  const monitor = new ClaudeCostMonitor({ budgets: [{ name: 'month', period: 'monthly', hard: 100 }] });
+  for (let day = 1; day <= 10; day++) {
+    monitor.apply({ timestamp: `2025-06-${String(day).padStart(2, '0')}T12:00:00.000Z`, model: 'haiku-4-5', cost: 2, costs: {} });
+  }
+
+  const forecast = monitor.forecast({ now: '2025-06-11T00:00:00.000Z', windowDays: 7 });
+  assert(forecast.monthToDate === 20, 'Month-to-date spend summed');
+  assert(forecast.dailyRunRate === 2, 'Run rate from recent window');
+  assert(forecast.projectedMonthEnd === 60, 'Month-end projected from run rate');
+  assert(forecast.budgets[0].onTrack && forecast.budgets[0].projectedUtilization === 0.6, 'Forecast checked against monthly budget');
+}
+
+function testReportData() {
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 1000, 500, 1000);
+
+  const data = monitor.getReportData();
+  const [row] = data.models;
+  assert(typeof row.cost === 'number' && typeof data.summary.cost === 'number', 'Report data is numeric');
+  assert(row.cacheHitRatio === 0.5 && row.tokens.cacheRead === 1000, 'Raw cache hit ratio and tokens');
+  assert(data.timeSeries.length === 1 && data.timeSeries[0].calls === 1, 'Report data includes time series');
+}
+
+function testExporters() {
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 1000, 500, 800);
+  monitor.trackUsage('sonnet-4-5', 2000, 1000, 0, { cacheWrite: 1500 });
+  const data = monitor.getReportData();
+  const exporter = new ReportExporter();
+
+  const csv = exporter.export('csv', data).trim().split('\n');
+  assert(csv.length === 4 && csv[0].startsWith('model,calls'), 'CSV has header, model rows and total');
+  assert(csv[3].startsWith('TOTAL,2,'), 'CSV total row');
+
+  const markdown = exporter.export('markdown', data);
+  assert(markdown.includes('| sonnet-4-5 | 1 |') && markdown.includes('| cacheWrite |'), 'Markdown tables rendered');
+
+  const html = exporter.export('html', data);
+  assert(html.startsWith('<!DOCTYPE html>') && html.includes('<svg'), 'HTML report is self-contained with charts');
+
+  const prom = exporter.export('prometheus', data);
+  assert(prom.includes('# TYPE claude_api_cost_dollars_total counter'), 'Prometheus TYPE lines');
+  assert(prom.includes('claude_api_tokens_total{model="sonnet-4-5",class="cacheWrite"} 1500'), 'Prometheus samples labelled');
+
+  exporter.register('total', d => `${d.summary.cost}`);
+  assert(exporter.export('total', data) === String(data.summary.cost), 'Custom exporter registered');
+
+  let threw = false;
+  try {
+    exporter.export('yaml', data);
+  } catch (e) {
+    threw = true;
+  }
+  assert(threw, 'Unknown format rejected');
+}
+
+function testRecommendationEvidence() {
+  const monitor = new ClaudeCostMonitor();
+  for (let i = 0; i < 10; i++) {
+    monitor.trackUsage('sonnet-4-5', 800, 200, 0, { prompt: 'Classify this ticket', deferrable: true });
+  }
+  monitor.trackUsage('sonnet-4-5', 500, 4000, 0, { cacheWrite: 1500 });
+  monitor.trackUsage('haiku-4-5', 5000, 100);
+
+  const recs = monitor.getOptimizations();
+  const byType = Object.fromEntries(recs.map(r => [r.type, r]));
+
+  assert(['model-downgrade', 'unused-cache-writes', 'response-caching', 'batching', 'output-heavy']
+    .every(t => byType[t]), 'Each rule fires on matching evidence');
+  assert(recs.every(r => r.estimatedMonthlySavings > 0 && r.confidence > 0 && r.confidence <= 1), 'Savings and confidence attached');
+  assert(byType['response-caching'].evidence.repeatedCalls === 9, 'Repeated prompts counted');
+
+  // 10 deferrable sonnet calls at $0.0054 each, half price in batch, one observed day scaled to 30
+  assert(Math.abs(byType.batching.estimatedMonthlySavings - 10 * 0.0054 * 0.5 * 30) < 1e-9, 'Batching saving quantified');
+  assert(recs[0].estimatedMonthlySavings >= recs[recs.length - 1].estimatedMonthlySavings, 'Sorted by saving');
+}
+
+function testNoRecommendationWithoutEvidence() {
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 5000, 300, 20000);
+
+  assert(monitor.getOptimizations().length === 0, 'Efficient usage yields no recommendations');
+}
+
+function testCustomRecommendationRule() {
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('opus-4-5', 50000, 100, 0, { tags: { feature: 'search' } });
+  monitor.recommendations.register({
+    id: 'search-budget',
+    analyze: ctx => ({
+      saving: ctx.entries.filter(e => e.tags.feature === 'search').reduce((s, e) => s + e.cost, 0) / 2,
+      confidence: 0.5,
+      message: 'Trim search context'
+    })
+  });
+
+  const rec = monitor.getOptimizations().find(r => r.type === 'search-budget');
+  assert(rec && rec.confidence === 0.5 && rec.impact === 'High', 'Custom rule plugged into engine');
+}
+
+function testCostAttribution() {
+  const monitor = new ClaudeCostMonitor({ tags: { service: 'api' } });
+  monitor.trackUsage('sonnet-4-5', 1000, 500, 0, { tags: { team: 'search', feature: 'rerank' } });
+  monitor.trackUsage('sonnet-4-5', 1000, 500, 0, { tags: { team: 'search', feature: 'rerank' } });
+  monitor.trackUsage('haiku-4-5', 1000, 500, 0, { tags: { team: 'search', feature: 'classify' } });
+  monitor.trackResponse({ model: 'claude-opus-4-5', usage: { input_tokens: 1000, output_tokens: 500 } }, { tags: { team: 'ads' } });
+  monitor.trackUsage('haiku-4-5', 100, 100);
+
+  const byFeatureModelDay = monitor.getCostBreakdown({ groupBy: ['feature', 'model', 'day'], filter: { team: 'search' } });
+  assert(byFeatureModelDay.length === 2, 'Grouped by feature, model and day with tag filter');
+  assert(byFeatureModelDay[0].key.feature === 'rerank' && byFeatureModelDay[0].calls === 2, 'Largest group first');
+  assert(byFeatureModelDay[0].key.day === new Date().toISOString().slice(0, 10), 'Day dimension available');
+
+  const teams = monitor.topSpenders('team', 2);
+  assert(teams.length === 2 && teams[0].key.team === 'search' && teams[1].key.team === 'ads', 'Top-N spenders by tag');
+  assert(Math.abs(teams[0].share + teams[1].share - 1) < 0.05, 'Shares of total spend reported');
+
+  const untagged = monitor.getCostBreakdown({ groupBy: 'team', filter: { team: ClaudeCostMonitor.UNTAGGED } });
+  assert(untagged.length === 1 && untagged[0].calls === 1, 'Untagged spend grouped separately');
+
+  const services = monitor.getCostBreakdown({ groupBy: 'service' });
+  assert(services.length === 1 && services[0].calls === 5, 'Default tags applied to every call');
+
+  const multi = monitor.getCostBreakdown({ groupBy: 'model', filter: { feature: ['rerank', 'classify'] } });
+  assert(multi.length === 2, 'Filter accepts a list of values');
+}
+
+function testAlertWebhook() {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        res.end('ok');
+        server.close();
+        const payload = JSON.parse(body);
+        assert(payload.event === 'budget:exceeded', 'Alert delivered to webhook');
+        assert(payload.budget.name === 'tiny', 'Webhook payload describes budget');
+        resolve();
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      const monitor = new ClaudeCostMonitor({
+        budgets: [{ name: 'tiny', hard: 0.000001, soft: 0.000001 }],
+        alerts: { webhook: `http://127.0.0.1:${server.address().port}/alerts` }
+      });
+      monitor.on('alert:error', reject);
+      monitor.trackUsage('haiku-4-5', 1000, 500);
+    });
+  });
+}
+
+async function testAlertScriptIgnoresStdin() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-script-'));
+  const script = path.join(dir, 'alert.sh');
+  fs.writeFileSync(script, '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+
+  // A large payload the script never reads: the pipe breaks while it is being written
+  const payload = { event: 'budget:exceeded', padding: 'x'.repeat(4 * 1024 * 1024) };
+  let outcome = 'pending';
+  await BudgetManager.deliverAlert({ script }, payload).then(() => outcome = 'delivered', () => outcome = 'rejected');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert(outcome !== 'pending', 'Alert script that skips stdin settles without crashing the process');
+}
+
+function get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname }, res => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+function testLabelledCountersCumulative() {
+  const monitor = new ClaudeCostMonitor({ maxEntries: 10 });
+  const calls = () => monitor.getReportData({ labels: ['team'] }).labelled.reduce((sum, r) => sum + r.calls, 0);
+  for (let i = 0; i < 5; i++) monitor.trackUsage('haiku-4-5', 100, 50, 0, { tags: { team: 'search' } });
+  assert(calls() === 5, 'Labelled totals seeded from history');
+
+  for (let i = 0; i < 100; i++) monitor.trackUsage('haiku-4-5', 100, 50, 0, { tags: { team: 'search' } });
+  assert(calls() === 105, 'Labelled counters keep counting after the window is trimmed');
+
+  let error = null;
+  try {
+    new MetricsServer(monitor, { labels: ['team', 'model'] });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /reserved/.test(error.message), 'Tags named like built-in labels are rejected');
+  assert(new MetricsServer(monitor, { labels: ['klass'] }).labels.length === 1, 'Other tag names accepted');
+}
+
+async function testMetricsServer() {
+  const monitor = new ClaudeCostMonitor();
+  monitor.trackUsage('haiku-4-5', 1000, 500, 1000, { tags: { team: 'search' } });
+  monitor.trackUsage('haiku-4-5', 1000, 500, 0, { tags: { team: 'ads' } });
+
+  const server = new MetricsServer(monitor, { labels: ['team'] });
+  const port = await server.listen(0, '127.0.0.1');
+
+  try {
+    const health = await get(port, '/health');
+    assert(health.status === 200 && JSON.parse(health.body).status === 'ok', '/health responds ok');
+
+    const metrics = await get(port, '/metrics');
+    assert(metrics.type.startsWith('text/plain; version=0.0.4'), '/metrics uses Prometheus content type');
+    assert(metrics.body.includes('claude_api_calls_total{model="haiku-4-5",team="search"} 1'), '/metrics labelled by model and tag');
+    assert(metrics.body.includes('claude_api_cache_hit_ratio{model="haiku-4-5",team="search"} 0.5'), '/metrics exposes cache hit ratio');
+
+    monitor.trackUsage('haiku-4-5', 10, 10, 0, { tags: { team: 'ads' } });
+    const report = await get(port, '/report');
+    assert(JSON.parse(report.body).summary.totalCalls === 3, '/report serves live generateReport JSON');
+
+    assert((await get(port, '/missing')).status === 404, 'Unknown paths return 404');
+  } finally {
+    await server.close();
+  }
+}
+
+function testBoundedEntries() {
+  const monitor = new ClaudeCostMonitor({ maxEntries: 100 });
+  for (let i = 0; i < 1000; i++) monitor.trackUsage('haiku-4-5', 100, 50);
+
+  assert(monitor.entries.length <= 125, 'In-memory entries bounded by maxEntries');
+  assert(monitor.generateReport().summary.totalCalls === 1000, 'Per-model totals still cover every call');
+}
+
+function testTrimmedEntriesKeepTotals() {
+  const monitor = new ClaudeCostMonitor({ maxEntries: 100 });
+  for (let i = 0; i < 1300; i++) monitor.trackUsage('haiku-4-5', 100, 50, 0, { tags: { team: i % 2 ? 'a' : 'b' } });
+
+  const total = monitor.getReportData().summary;
+  const sum = (rows, field) => rows.reduce((s, r) => s + r[field], 0);
+  const teams = monitor.getCostBreakdown({ groupBy: 'team' });
+  const series = monitor.getTimeSeries({ granularity: 'hourly' });
+  const labelled = monitor.getReportData({ labels: ['team'] }).labelled;
+
+  assert(monitor.entries.length <= 125 && monitor.rollups.size <= 4, 'Trimmed entries fold into hourly rollups');
+  assert(sum(teams, 'calls') === 1300 && teams.find(t => t.key.team === 'a').calls === 650, 'Breakdowns cover trimmed calls');
+  assert(sum(series, 'calls') === 1300 && Math.abs(sum(series, 'cost') - total.cost) < 1e-9, 'Time series covers trimmed calls');
+  assert(sum(labelled, 'calls') === 1300, 'Labelled rows cover trimmed calls');
+  assert(Math.abs(monitor.forecast().monthToDate - total.cost) < 1e-9, 'Month-to-date covers trimmed calls');
+}
+
 // Run all tests
 console.log('🧪 Running Cost Monitor Tests\n');
 
-try {
-  testCostCalculation();
-  testUsageTracking();
-  testModelSuggestions();
-  testCacheEfficiency();
-  testReportGeneration();
-  testNormalization();
-
-  console.log('\n✅ All tests passed!');
-} catch (error) {
-  console.error('\n❌ Test suite failed:', error);
-  process.exit(1);
-}
\ No newline at end of file
+(async () => {
+  try {
+    testCostCalculation();
+    testUsageTracking();
+    testModelSuggestions();
+    testCacheEfficiency();
+    testReportGeneration();
+    testNormalization();
+    testModelRegistry();
+    testComponentPricing();
+    testBatchDiscount();
+    testPriceSheetLoading();
+    testCostBreakdown();
+    testTrackResponse();
+    testTrackBatchAndStreaming();
+    testStreamingEventsMerged();
+    testBudgetEvents();
+    testHardLimitEnforcement();
+    testBudgetsFromConfig();
+    testTimeSeries();
+    testForecast();
+    testReportData();
+    testExporters();
+    testRecommendationEvidence();
+    testNoRecommendationWithoutEvidence();
+    testCustomRecommendationRule();
+    testCostAttribution();
+    testBoundedEntries();
+    testTrimmedEntriesKeepTotals();
+    await testAlertWebhook();
+    await testAlertScriptIgnoresStdin();
+    testLabelledCountersCumulative();
+    await testMetricsServer();
+
+    console.log('\n✅ All tests passed!');
+  } catch (error) {
+    console.error('\n❌ Test suite failed:', error);
+    process.exit(1);
+  }
+})();
\ No newline at end of file
@@ -137,6 +137,399 @@ function testReasoningContext() {
   );
 }
 
+function testFallbackWithoutPatterns() {
+  const router = new ModelRouter();
+
+  assert(router.classifyComplexity('Tell me about the weather today') !== 'complex', 'Short prompt without keywords is not complex');
+  assert(
+    router.classifyComplexity(Array(200).fill('word').join(' ')) !== 'simple',
+    'Long prompt without keywords escalates by length'
+  );
+}
+
+function testClassificationFeatures() {
+  const router = new ModelRouter();
+  const prompt = 'Write a detailed report on this:\n```js\nconst x = 1;\n```\nWhy is it slow? How do I fix it? Answer as JSON.';
+  const result = router.classify(prompt);
+  const names = result.features.map(f => f.name);
+
+  assert(result.tier === 'complex', 'Multiple signals combine into complex tier');
+  assert(result.confidence > 0 && result.confidence <= 1, 'Confidence score returned');
+  assert(['codeBlocks', 'questions', 'longOutput', 'structuredOutput'].every(n => names.includes(n)), 'Contributing features listed');
+}
+
+function testConversationDepth() {
+  const router = new ModelRouter();
+  const turns = Array(7).fill(0).map((_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: 'Tell me more about that' }));
+
+  const shallow = router.classify('Tell me more about that');
+  const deep = router.classify(turns);
+  assert(deep.score > shallow.score, 'Conversation depth raises complexity score');
+  assert(deep.features.some(f => f.name === 'conversationDepth'), 'Conversation depth reported as a feature');
+}
+
+function testLowConfidenceSurfaced() {
+  const router = new ModelRouter({ minConfidence: 0.9 });
+
+  const result = router.selectModel('yes');
+  assert(result.lowConfidence === true, 'Low-confidence classification flagged');
+  assert(result.saferModel === 'anthropic/claude-sonnet-4-5', 'Safer model suggested');
+  assert(result.model === 'anthropic/claude-haiku-4-5', 'Cheaper model kept unless escalation requested');
+
+  const escalated = router.selectModel('yes', { escalateLowConfidence: true });
+  assert(escalated.model === 'anthropic/claude-sonnet-4-5', 'Low confidence escalates on request');
+}
+
+function testPluggableClassifier() {
+  const router = new ModelRouter({
+    classifier: { classify: prompt => ({ tier: prompt.includes('!') ? 'complex' : 'simple', confidence: 1, features: [] }) }
+  });
+
+  assert(router.selectModel('Classify this!').model === 'anthropic/claude-sonnet-4-5', 'Custom classifier drives routing');
+}
+
+function testCapabilityConstraints() {
+  const ModelRegistry = require('../model-registry');
+  const registry = new ModelRegistry();
+  registry.register({ ...ModelRegistry.MODELS.find(m => m.key === 'haiku-4-5'), capabilities: ['tools'] });
+  const router = new ModelRouter({ registry });
+
+  assert(router.selectModel('Classify this').model === 'anthropic/claude-haiku-4-5', 'Unconstrained request keeps the tier model');
+
+  const result = router.selectModel('Classify this', { requiresReasoning: true });
+  assert(result.model === 'anthropic/claude-sonnet-4-5', 'Missing thinking support escalates to the next model up');
+  assert(result.constrained.rejected[0].reasons[0] === 'no thinking support', 'Rejection reason reported');
+
+  const image = [{ role: 'user', content: [{ type: 'image', source: {} }, { type: 'text', text: 'Classify this' }] }];
+  assert(router.selectModel(image).model === 'anthropic/claude-sonnet-4-5', 'Image blocks require vision');
+}
+
+function testContextCostAndLatency() {
+  const router = new ModelRouter();
+  const complex = 'Design a distributed system for real-time data processing';
+
+  const cheap = router.selectModel(complex, { maxTokens: 4000, maxCostPerRequest: 0.03 });
+  assert(cheap.model === 'anthropic/claude-haiku-4-5', 'Cost cap downgrades when nothing pricier fits');
+
+  const fast = router.selectModel(complex, { latency: 'fast' });
+  assert(fast.model === 'anthropic/claude-haiku-4-5', 'Latency preference picks a faster model');
+
+  const pinned = router.selectModel('Classify this', { tier: 'complex' });
+  assert(pinned.model === 'anthropic/claude-sonnet-4-5' && pinned.complexity === 'complex', 'Tier pin overrides classification');
+
+  let tierError;
+  try {
+    router.selectModel('Review this contract', { tier: 'critical', latency: 'fast' });
+  } catch (e) {
+    tierError = e;
+  }
+  assert(tierError instanceof ModelRouter.RoutingConstraintError && tierError.rejected.length === 1, 'Tier pin is never substituted to meet constraints');
+
+  let unknownError;
+  try {
+    router.selectModel('Classify this', { model: 'gpt-4o' });
+  } catch (e) {
+    unknownError = e;
+  }
+  assert(unknownError instanceof ModelRouter.RoutingConstraintError && /gpt-4o/.test(unknownError.message), 'Unknown pinned model rejected');
+
+  let error;
+  try {
+    router.selectModel('Classify this', { minContextWindow: 500000 });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof ModelRouter.RoutingConstraintError, 'Unsatisfiable constraints throw RoutingConstraintError');
+  assert(/needs 500000 tokens of context/.test(error.message) && error.rejected.length === 3, 'Error explains every rejected model');
+
+  let pinError;
+  try {
+    router.selectModel('Classify this', { model: 'claude-3-haiku-20240307', requiresReasoning: true });
+  } catch (e) {
+    pinError = e;
+  }
+  assert(pinError && pinError.rejected.length === 1, 'Pinned model is never substituted');
+}
+
+function testFourTierConfig() {
+  const router = ModelRouter.fromConfig();
+
+  assert(router.models.complex === 'anthropic/claude-sonnet-4-20250514', 'Tier map loaded from modelSelection');
+  assert(router.modelFor('medium') === 'anthropic/claude-haiku-4-5', 'Medium tier mapped');
+
+  const critical = router.selectModel('Run a security audit of the payment service');
+  assert(critical.complexity === 'critical' && critical.model === 'anthropic/claude-opus-4-5', 'Critical rule routes to Opus');
+  assert(critical.features[0].name === 'criticalRule', 'Critical rule reported as a feature');
+  assert(critical.estimatedCostSavings.percentage < 0 && critical.estimatedSavings.description.includes('more than Sonnet 4'), 'Opus reports extra cost vs baseline');
+
+  const flagged = router.selectModel('Summarize this', { critical: true });
+  assert(flagged.complexity === 'critical', 'Context flag forces the critical tier');
+  assert(router.generateStats([critical, flagged]).distribution.critical === 2, 'Stats count the critical tier');
+}
+
+function testCustomSelection() {
+  const router = new ModelRouter({
+    modelSelection: {
+      medium: 'anthropic/claude-sonnet-4-5',
+      baseline: 'anthropic/claude-opus-4-5',
+      thresholds: { simple: 0.2, medium: 0.5, complex: 0.9 },
+      patterns: { critical: ['\\bpatient\\b'] }
+    }
+  });
+
+  assert(router.classifyComplexity('Explain the patient chart') === 'critical', 'Custom critical pattern');
+  assert(router.classifyComplexity('Run a security audit') !== 'critical', 'Custom patterns replace the defaults');
+
+  const result = router.selectModel('Classify this');
+  assert(result.estimatedCostSavings.baseline === 'anthropic/claude-opus-4-5', 'Savings measured against configured baseline');
+  assert(result.estimatedSavings.description === '80% vs Opus 4.5', 'Description names the baseline');
+
+  const scored = router.classifier.classify('Design a comprehensive distributed system architecture that handles millions of requests per second with fault tolerance and includes detailed specifications');
+  assert(scored.tier === 'critical', 'Score above the complex threshold is critical');
+}
+
+function testDeclarativeRules() {
+  const router = new ModelRouter({
+    rules: [
+      { name: 'refunds', match: { pattern: 'refund|chargeback' }, model: 'anthropic/claude-sonnet-4-5' },
+      { name: 'acme-long', priority: 10, match: { tags: { tenant: 'acme' }, minTokens: 50 }, tier: 'critical' },
+      { name: 'long-threads', match: { minMessages: 4 }, tier: 'complex' }
+    ]
+  });
+
+  const refund = router.selectModel('Process this refund');
+  assert(refund.model === 'anthropic/claude-sonnet-4-5' && refund.explain.rule === 'refunds', 'Regex rule picks its model');
+  assert(refund.explain.rules[0].name === 'acme-long' && !refund.explain.rules[0].matched, 'Higher priority rule evaluated first');
+  assert(refund.explain.rules[0].reasons[0].startsWith('failed: tags.tenant'), 'Trace explains why a rule did not match');
+
+  const long = 'Process this refund '.repeat(20);
+  const acme = router.selectModel(long, { tags: { tenant: 'acme' } });
+  assert(acme.explain.rule === 'acme-long' && acme.complexity === 'critical', 'Tag and token rule wins by priority');
+
+  const thread = [1, 2, 3, 4].map(i => ({ role: i % 2 ? 'user' : 'assistant', content: 'ok' }));
+  assert(router.selectModel(thread).explain.rule === 'long-threads', 'Message count rule');
+
+  const heuristic = router.selectModel('Classify this');
+  assert(heuristic.explain.rule === null && heuristic.explain.steps[0].startsWith('classifier scored'), 'Falls back to the classifier');
+
+  const pinned = router.selectModel('Process this refund', { tier: 'simple' });
+  assert(pinned.explain.rules.length === 0 && pinned.explain.steps[0].startsWith('tier pinned'), 'Pins skip rules');
+}
+
+function testBatchRouteExplain() {
+  const router = new ModelRouter({ rules: [{ name: 'vip', match: { tags: { tenant: 'vip' } }, tier: 'complex' }] });
+  const results = router.batchRoute(['Classify this', { prompt: 'Classify that', tags: { tenant: 'vip' } }]);
+
+  assert(results[0].explain.rule === null && results[1].explain.rule === 'vip', 'Batch results carry explain traces');
+  assert(results[1].model === 'anthropic/claude-sonnet-4-5', 'Per-item options honored in batch routing');
+}
+
+function testRoutingReplay() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const RoutingReplay = require('../routing-replay');
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'routing-replay-')), 'requests.jsonl');
+  fs.writeFileSync(file, [
+    { prompt: 'Classify this email as spam', model: 'claude-sonnet-4-5', usage: { input_tokens: 1000, output_tokens: 100 }, quality: 'good' },
+    { prompt: 'Design a distributed system architecture', model: 'claude-haiku-4-5', usage: { input_tokens: 1000, output_tokens: 1000 }, quality: 0.2 },
+    { prompt: 'Extract names', model: 'claude-haiku-4-5', usage: { input: 1000, output: 100 } }
+  ].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+  const replay = new RoutingReplay({
+    default: new ModelRouter(),
+    allSonnet: { modelSelection: { simple: 'anthropic/claude-sonnet-4-5', medium: 'anthropic/claude-sonnet-4-5' } }
+  });
+  const { default: current, allSonnet } = replay.run(RoutingReplay.load(file));
+
+  // Actual: sonnet 0.003 + 0.0015, haiku 0.001 + 0.005, haiku 0.001 + 0.0005 = 0.012
+  assert(Math.abs(current.actualCost - 0.012) < 1e-9, 'Actual cost priced from recorded usage');
+  // Projected: haiku 0.0015, sonnet 0.018, haiku 0.0015 = 0.021
+  assert(Math.abs(current.projectedCost - 0.021) < 1e-9, 'Projected cost in real dollars');
+  assert(current.downgraded === 1 && current.upgraded === 1 && current.unchanged === 1, 'Downgrades and upgrades counted');
+  assert(current.tiers.simple === 2 && current.tiers.complex === 1, 'Tier distribution reported');
+  assert(current.quality.downgradedGood === 1 && current.quality.upgradedBad === 1, 'Quality labels flag risky moves');
+  assert(allSonnet.models['sonnet-4-5'] === 3 && allSonnet.upgraded === 2, 'Policies compared side by side');
+
+  const stats = new ModelRouter().generateStats([new ModelRouter().selectModel('Classify this')]);
+  assert(stats.projectedCost > 0 && stats.baselineCost > stats.projectedCost, 'Stats report dollars, not just percentages');
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+}
+
+function testRouterEvaluation() {
+  const path = require('path');
+  const RouterEvaluation = require('../router-evaluation');
+  const RoutingReplay = require('../routing-replay');
+  const evaluation = new RouterEvaluation(new ModelRouter());
+
+  const report = evaluation.evaluate([
+    { prompt: 'Extract names', tier: 'simple' },
+    { prompt: 'Design a distributed system', tier: 'complex' },
+    { prompt: 'Extract names', tier: 'complex', usage: { input_tokens: 1000, output_tokens: 1000 } },
+    { prompt: 'Design a distributed system', tier: 'simple', usage: { input_tokens: 1000, output_tokens: 1000 } }
+  ]);
+
+  assert(report.accuracy === 0.5 && report.matrix.complex.simple === 1 && report.matrix.simple.complex === 1, 'Confusion matrix counts');
+  assert(report.tiers.simple.precision === 0.5 && report.tiers.complex.recall === 0.5, 'Per-tier precision and recall');
+  // Haiku 0.001 + 0.005 vs Sonnet 0.003 + 0.015
+  assert(Math.abs(report.impact.underRouting.costDelta + 0.012) < 1e-9, 'Under-routing cost impact');
+  assert(Math.abs(report.impact.overRouting.costDelta - 0.012) < 1e-9, 'Over-routing waste');
+  assert(RouterEvaluation.format(report).includes('Accuracy: 2/4'), 'Text report');
+
+  // Regression guard over the labeled fixture
+  const fixture = evaluation.evaluate(RoutingReplay.load(path.join(__dirname, 'fixtures/router-labels.jsonl')));
+  assert(fixture.accuracy >= 0.9, `Labeled dataset accuracy ${Math.round(fixture.accuracy * 100)}% >= 90%`);
+  assert(fixture.impact.underRouting.count === 0, 'No under-routing on the labeled dataset');
+}
+
+function testAdaptiveRouting() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'adaptive-routing-')), 'state.json');
+  const router = new ModelRouter({ adaptive: { statePath } });
+
+  const first = router.selectModel('Classify this');
+  assert(first.model === 'anthropic/claude-haiku-4-5' && typeof first.requestId === 'string', 'Adaptive routing starts at the classified tier');
+  assert(router.recordOutcome(first.requestId, { accepted: true }).outcomes === 1, 'Outcome recorded');
+  assert(router.recordOutcome(first.requestId, { accepted: true }) === null, 'Outcomes apply once per request');
+
+  let result = first;
+  let failures = 0;
+  while (failures < 10) {
+    result = router.selectModel('Classify this');
+    if (!result.model.includes('haiku')) break;
+    router.recordOutcome(result.requestId, { accepted: false, escalated: true });
+    failures++;
+  }
+  assert(result.model === 'anthropic/claude-sonnet-4-5' && failures <= 3, `Repeated failures shift the category to a stronger tier (after ${failures})`);
+  assert(result.explain.steps.some(s => s.startsWith('adaptive:')), 'Adaptive choice explained');
+
+  const state = router.adaptive.inspect();
+  assert(state.simple.preferred === 'complex' && state.simple.arms.simple.failureRate > 0.5, 'Learned state is inspectable');
+  assert(router.selectModel('Classify that', { category: 'email' }).model === 'anthropic/claude-haiku-4-5', 'Categories learn independently');
+
+  const reloaded = new ModelRouter({ adaptive: { statePath } });
+  assert(fs.existsSync(statePath) && reloaded.selectModel('Classify this').model === 'anthropic/claude-sonnet-4-5', 'State persists to disk');
+
+  let error;
+  try {
+    new ModelRouter().recordOutcome('x', {});
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /not enabled/.test(error.message), 'recordOutcome requires adaptive routing');
+  fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+}
+
+function testAdaptiveRespectsClassifiedFloor() {
+  const router = new ModelRouter({ adaptive: true });
+  const complex = 'Design a distributed system architecture and refactor the legacy code for it';
+
+  assert(router.selectModel('Classify this', { category: 'support' }).model === 'anthropic/claude-haiku-4-5', 'First request in the category sets up cheap arms');
+  for (let i = 0; i < 10; i++) {
+    const r = router.selectModel(complex, { category: 'support' });
+    assert(r.complexity !== 'simple' && r.complexity !== 'medium', `Complex request never routed below its tier (${r.model})`);
+    router.recordOutcome(r.requestId, { accepted: true });
+  }
+  assert(Object.keys(router.adaptive.inspect().support.arms).includes('critical'), 'Tiers offered by later requests get their own arms');
+}
+
+function testAdaptiveKeepsCheapTierOnSuccess() {
+  const router = new ModelRouter({ adaptive: true });
+  let cheap = 0;
+  for (let i = 0; i < 20; i++) {
+    const r = router.selectModel('Classify this');
+    if (r.model.includes('haiku')) cheap++;
+    router.recordOutcome(r.requestId, { accepted: true });
+  }
+  assert(cheap === 20, 'Successful cheap tier is kept');
+}
+
+function testTrafficSplitExperiments() {
+  const ClaudeCostMonitor = require('../cost-monitor');
+  const RoutingExperiments = require('../routing-experiments');
+  const router = new ModelRouter({
+    experiments: [{ name: 'design-on-haiku', category: 'complex', candidate: 'anthropic/claude-haiku-4-5', percent: 30 }]
+  });
+  const monitor = new ClaudeCostMonitor();
+  const prompt = 'Design a distributed system for real-time data processing';
+
+  let candidates = 0;
+  for (let user = 0; user < 200; user++) {
+    const result = router.selectModel(prompt, { userId: `user-${user}` });
+    if (result.experiment.arm === 'candidate') candidates++;
+    monitor.trackUsage(result.model, 1000, 500, 0, { tags: result.experiment.tags });
+    router.recordOutcome(result.requestId, { accepted: result.experiment.arm === 'control' || user % 4 !== 0 });
+  }
+  assert(candidates > 40 && candidates < 80, `Roughly 30% of users on the candidate (${candidates}/200)`);
+
+  const again = router.selectModel(prompt, { userId: 'user-7' });
+  const first = RoutingExperiments.bucket('design-on-haiku', 'user-7') < 30 ? 'candidate' : 'control';
+  assert(again.experiment.arm === first, 'Assignment is sticky per user');
+  assert(again.model === (first === 'candidate' ? 'anthropic/claude-haiku-4-5' : 'anthropic/claude-sonnet-4-5'), 'Arm decides the model');
+
+  const anonymous = router.selectModel(prompt);
+  assert(anonymous.experiment.arm === 'control', 'Requests without a unit ID stay on control');
+  assert(!router.selectModel('Classify this', { userId: 'user-1' }).experiment, 'Other categories are not enrolled');
+
+  const report = router.experiments.report(monitor)['design-on-haiku'].arms;
+  assert(report.candidate.calls === candidates && report.control.calls === 200 - candidates, 'Monitor calls split per arm');
+  assert(report.candidate.avgCostPerCall < report.control.avgCostPerCall, 'Candidate arm is cheaper per call');
+  assert(report.control.acceptRate === 1 && report.candidate.acceptRate < 1, 'Outcome metrics per arm');
+
+  router.experiments.setPercent('design-on-haiku', 0);
+  assert(router.selectModel(prompt, { userId: 'user-7' }).experiment.arm === 'control', 'Canary can be rolled back');
+}
+
+function testBudgetAwareRouting() {
+  const ClaudeCostMonitor = require('../cost-monitor');
+  const monitor = new ClaudeCostMonitor({ budgets: [{ name: 'daily', period: 'daily', hard: 1 }] });
+  const router = new ModelRouter({ monitor });
+  const laddered = new ModelRouter({ monitor, modelSelection: { medium: 'anthropic/claude-sonnet-4-5', complex: 'anthropic/claude-opus-4-5' } });
+
+  assert(router.selectModel('Design it', { tier: 'complex' }).model === 'anthropic/claude-sonnet-4-5', 'No override under budget');
+
+  monitor.trackUsage('sonnet-4-5', 250000, 0); // $0.75 of $1
+  const complex = router.selectModel('Design it', { tier: 'complex' });
+  assert(complex.model === 'anthropic/claude-haiku-4-5', 'Default mapping: complex downgraded to Haiku at 70%');
+  assert(complex.budgetOverride.budget === 'daily' && complex.budgetOverride.from === 'anthropic/claude-sonnet-4-5', 'Override reported in the result');
+  assert(complex.explain.steps.some(s => s.startsWith('budget "daily" at 75%')), 'Override explained');
+  assert(laddered.selectModel('Design it', { tier: 'complex' }).model === 'anthropic/claude-sonnet-4-5', 'At 70% a tier drops one step, to the next cheaper model');
+  assert(laddered.selectModel('Classify this', { tier: 'medium' }).model === 'anthropic/claude-haiku-4-5', 'Medium downgraded at 70% when it has a cheaper tier below');
+
+  monitor.trackUsage('sonnet-4-5', 50000, 0); // $0.90
+  assert(laddered.selectModel('Design it', { tier: 'complex' }).model === 'anthropic/claude-haiku-4-5', 'Everything below critical drops to simple at 90%');
+  const critical = router.selectModel('Security audit of the payment service');
+  assert(critical.model === 'anthropic/claude-opus-4-5' && !critical.budgetOverride, 'Critical keeps its model at 90%');
+
+  const [status] = monitor.getBudgetStatus(new Date(Date.now() + 2 * 86400000));
+  assert(status.spent === 0 && status.utilization === 0, 'Budget status rolls over for a later date');
+
+  const disabled = new ModelRouter({ monitor, budgetPolicy: false });
+  assert(disabled.selectModel('Design it', { tier: 'complex' }).model === 'anthropic/claude-sonnet-4-5', 'Budget policy can be disabled');
+}
+
+function testBudgetCapsEveryPath() {
+  const ClaudeCostMonitor = require('../cost-monitor');
+  const monitor = new ClaudeCostMonitor({ budgets: [{ name: 'daily', period: 'daily', hard: 1 }] });
+  monitor.trackUsage('sonnet-4-5', 316667, 0); // $0.95 of $1
+  const haiku = 'anthropic/claude-haiku-4-5';
+
+  const ruled = new ModelRouter({ monitor, rules: [{ name: 'vip', match: { tags: { tenant: 'vip' } }, model: 'anthropic/claude-opus-4-5' }] });
+  const rule = ruled.selectModel('Classify this', { tags: { tenant: 'vip' } });
+  assert(rule.model === haiku && rule.budgetOverride.from === 'anthropic/claude-opus-4-5', 'Rule-chosen model capped at 95%');
+
+  const experimental = new ModelRouter({ monitor, experiments: [{ name: 'opus-trial', category: 'simple', candidate: 'anthropic/claude-opus-4-5', percent: 100 }] });
+  const trial = experimental.selectModel('Classify this', { userId: 'user-1' });
+  assert(trial.experiment.arm === 'candidate' && trial.model === haiku, 'Experiment candidate capped at 95%');
+
+  const cautious = new ModelRouter({ monitor, minConfidence: 0.99 });
+  const escalated = cautious.selectModel('yes', { escalateLowConfidence: true });
+  assert(escalated.lowConfidence && escalated.model === haiku, 'Low-confidence escalation capped at 95%');
+}
+
 // Run all tests
 console.log('🧪 Running Model Router Tests\n');
 
@@ -148,6 +541,25 @@ try {
   testRoutingStats();
   testComplexityClassification();
   testReasoningContext();
+  testFallbackWithoutPatterns();
+  testClassificationFeatures();
+  testConversationDepth();
+  testLowConfidenceSurfaced();
+  testPluggableClassifier();
+  testCapabilityConstraints();
+  testContextCostAndLatency();
+  testFourTierConfig();
+  testCustomSelection();
+  testDeclarativeRules();
+  testBatchRouteExplain();
+  testRoutingReplay();
+  testRouterEvaluation();
+  testAdaptiveRouting();
+  testAdaptiveKeepsCheapTierOnSuccess();
+  testAdaptiveRespectsClassifiedFloor();
+  testTrafficSplitExperiments();
+  testBudgetAwareRouting();
+  testBudgetCapsEveryPath();
 
   console.log('\n✅ All tests passed!');
 } catch (error) {
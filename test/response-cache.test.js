@@ -4,7 +4,11 @@
  * Test Suite for Response Cache
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ResponseCache = require('../response-cache');
+const { FileStore, LogStore, RedisStore } = require('../cache-stores');
 
 function assert(condition, message) {
   if (!condition) {
@@ -72,8 +76,75 @@ function testLRUEviction() {
   // Add Key4, should evict Key1 (least recently used)
   cache.set('Key4', { data: 4 });
 
-  assert(cache.getStatus().queued_requests === undefined, 'Cache size respected');
+  assert(cache.getStats().size === 3, 'Cache size respected');
   assert(cache.get('Key2') !== null, 'Recently accessed entry retained');
+  assert(cache.get('Key1') === null, 'Least recently used entry evicted');
+  assert(cache.getStats().evictions.capacity === 1, 'Capacity eviction counted');
+}
+
+function testLFUEviction() {
+  const cache = new ResponseCache({ maxSize: 3, evictionPolicy: 'lfu' });
+
+  cache.set('Key1', { data: 1 });
+  cache.set('Key2', { data: 2 });
+  cache.set('Key3', { data: 3 });
+  cache.get('Key1');
+  cache.get('Key1');
+  cache.get('Key3');
+
+  cache.set('Key4', { data: 4 });
+  assert(cache.get('Key2') === null, 'Least frequently used entry evicted');
+  assert(cache.get('Key1') !== null && cache.get('Key3') !== null, 'Frequently used entries retained');
+  assert(cache.getStats().policy === 'lfu', 'Eviction policy reported');
+}
+
+function testTTLPriorityEviction() {
+  const cache = new ResponseCache({ maxSize: 3, evictionPolicy: 'ttl' });
+
+  cache.set('Long', { data: 1 }, 'haiku-4-5', 60000);
+  cache.set('Short', { data: 2 }, 'haiku-4-5', 1000);
+  cache.set('Medium', { data: 3 }, 'haiku-4-5', 30000);
+  cache.get('Short');
+
+  cache.set('New', { data: 4 });
+  assert(cache.get('Short') === null, 'Soonest-expiring entry evicted first');
+  assert(cache.get('Long') !== null, 'Longest-lived entry retained');
+}
+
+function testByteLimit() {
+  const cache = new ResponseCache({ maxBytes: 100 });
+  const payload = n => ({ text: 'x'.repeat(n) });
+
+  cache.set('A', payload(30));
+  cache.set('B', payload(30));
+  cache.set('C', payload(30));
+  assert(cache.get('A') === null, 'Oldest entry evicted to stay under maxBytes');
+  assert(cache.getStats().bytes <= 100, 'Serialized bytes kept under the limit');
+  assert(cache.getStats().evictions.bytes === 1, 'Byte-limit eviction counted');
+
+  assert(cache.set('Huge', payload(200)) === false, 'Response larger than maxBytes is not cached');
+  assert(cache.get('B') !== null && cache.getStats().rejected === 1, 'Oversized response leaves other entries in place');
+}
+
+function testExpirySweep() {
+  const cache = new ResponseCache();
+  cache.set('Stale 1', { data: 1 }, 'haiku-4-5', 1);
+  cache.set('Stale 2', { data: 2 }, 'haiku-4-5', 1);
+  cache.set('Fresh', { data: 3 });
+
+  const removed = cache.sweep(Date.now() + 10);
+  assert(removed === 2, 'Sweep removes expired entries without a lookup');
+  assert(cache.getStats().size === 1, 'Only live entries remain after a sweep');
+  assert(cache.getStats().evictions.expired === 2, 'Expiry evictions counted');
+}
+
+// 5,000 entries at capacity: each insert evicts in constant time instead of scanning the cache
+function testEvictionScales() {
+  const cache = new ResponseCache({ maxSize: 5000 });
+  const start = Date.now();
+  for (let i = 0; i < 20000; i++) cache.set(`Prompt ${i}`, { i });
+  assert(cache.getStats().size === 5000 && cache.getStats().evictions.capacity === 15000, 'Capacity held while inserting past it');
+  assert(Date.now() - start < 5000, 'Evicting at capacity stays fast');
 }
 
 function testKeyGeneration() {
@@ -87,6 +158,419 @@ function testKeyGeneration() {
   assert(key1 !== key3, 'Different prompts generate different keys');
 }
 
+function testNoPrefixCollisions() {
+  const cache = new ResponseCache();
+  const template = 'You are a support agent for Acme Corp. Answer the customer question below. Question: ';
+
+  cache.set(template + 'How do I reset my password?', { answer: 'reset' });
+  cache.set(template + 'How do I close my account?', { answer: 'close' });
+
+  assert(cache.get(template + 'How do I reset my password?').answer === 'reset', 'Long shared prefixes do not collide');
+  assert(cache.get(template + 'How do I close my account?').answer === 'close', 'Each templated prompt keeps its own answer');
+  assert(/^[0-9a-f]{64}$/.test(cache.generateKey('x')), 'Keys are SHA-256 hex digests');
+}
+
+function testRequestObjectKeys() {
+  const cache = new ResponseCache();
+  const request = {
+    model: 'claude-haiku-4-5',
+    system: 'Classify emails.',
+    messages: [{ role: 'user', content: 'Win a prize!' }],
+    temperature: 0,
+    max_tokens: 10
+  };
+
+  cache.set(request, { category: 'spam' });
+  assert(cache.get(request).category === 'spam', 'get/set accept full request objects');
+
+  const reordered = {
+    max_tokens: 10,
+    temperature: 0,
+    messages: [{ content: [{ type: 'text', text: 'Win a prize!' }], role: 'user' }],
+    system: 'Classify emails.',
+    model: 'claude-haiku-4-5-20251001',
+    metadata: { user_id: 'u1' }
+  };
+  assert(cache.get(reordered).category === 'spam', 'Canonical form ignores key order, content shape, aliases and metadata');
+
+  assert(cache.get({ ...request, system: 'Classify emails carefully.' }) === null, 'System prompt is part of the key');
+  assert(cache.get({ ...request, temperature: 1 }) === null, 'Temperature is part of the key');
+  assert(cache.get({ ...request, tools: [{ name: 'lookup' }] }) === null, 'Tools are part of the key');
+  assert(cache.get({ ...request, model: 'claude-sonnet-4-5' }) === null, 'Model is part of the key');
+
+  const breakpoints = {
+    ...request,
+    system: [{ type: 'text', text: 'Classify emails.', cache_control: { type: 'ephemeral' } }],
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'Win a prize!', cache_control: { type: 'ephemeral' } }] }]
+  };
+  assert(cache.get(breakpoints).category === 'spam', 'cache_control breakpoints are not part of the key');
+
+  cache.set({ prompt: 'What is the refund policy?' }, { answer: '30 days' });
+  assert(cache.get({ prompt: 'Delete my account' }) === null, 'Prompt objects key on their prompt');
+  assert(cache.get('What is the refund policy?').answer === '30 days', 'A prompt object matches the same prompt string');
+
+  let error = null;
+  try {
+    cache.set({ question: 'What is the refund policy?' }, { answer: '30 days' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof TypeError, 'Objects without messages or a prompt are rejected');
+}
+
+function testConfigurableKeyFields() {
+  const cache = new ResponseCache({ ignoreFields: ['max_tokens', 'temperature'] });
+  const request = { model: 'haiku-4-5', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10, temperature: 0 };
+
+  cache.set(request, { text: 'Hello' });
+  assert(cache.get({ ...request, max_tokens: 500, temperature: 0.7 }) !== null, 'Ignored fields do not change the key');
+
+  const promptOnly = new ResponseCache({ keyFields: ['messages'] });
+  promptOnly.set(request, { text: 'Hello' });
+  assert(promptOnly.get({ ...request, model: 'sonnet-4-5' }) !== null, 'keyFields replaces the default field list');
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+}
+
+// Minimal in-process stand-in for a Redis client: Promise API, PX expiry
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.order = []; // every key ever set, so SCAN cursors survive deletes like Redis's do
+  }
+
+  live(key) {
+    const item = this.data.get(key);
+    if (item && item.expiresAt <= Date.now()) this.data.delete(key);
+    return this.data.get(key);
+  }
+
+  async get(key) {
+    const item = this.live(key);
+    return item ? item.value : null;
+  }
+
+  async set(key, value, mode, ms) {
+    if (!this.data.has(key) && !this.order.includes(key)) this.order.push(key);
+    this.data.set(key, { value, expiresAt: mode === 'PX' ? Date.now() + ms : Infinity });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(k => this.data.delete(k)).length;
+  }
+
+  // SCAN cursor over first-set order; MATCH supports a trailing * only
+  async scan(cursor, ...args) {
+    this.scans = (this.scans || 0) + 1;
+    const option = name => args[args.indexOf(name) + 1];
+    const prefix = option('MATCH').replace(/\*$/, '');
+    const start = Number(cursor);
+    const end = start + Number(option('COUNT'));
+    const page = this.order.slice(start, end).filter(k => k.startsWith(prefix) && this.live(k));
+    return [end >= this.order.length ? '0' : String(end), page];
+  }
+}
+
+function testFileStore() {
+  const dir = tmpDir();
+  const cache = new ResponseCache({ store: 'file', storeOptions: { dir } });
+  cache.set('Shared question', { answer: 'from worker 1' });
+
+  const key = cache.generateKey('Shared question');
+  assert(fs.existsSync(path.join(dir, key.slice(0, 2), `${key}.json`)), 'File store shards entries by key prefix');
+
+  // A second instance (another worker, or after a restart) sees the entry
+  const other = new ResponseCache({ store: new FileStore({ dir }) });
+  assert(other.get('Shared question').answer === 'from worker 1', 'File store shares entries across instances');
+  assert(other.getMetadata('Shared question').accessCount === 1, 'Access metadata tracked per instance');
+
+  other.clear();
+  assert(cache.get('Shared question') === null, 'Clearing the file store removes entries');
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function testLogStore() {
+  const dir = tmpDir();
+  const file = path.join(dir, 'cache.log');
+  const writer = new ResponseCache({ store: 'log', storeOptions: { file } });
+  const reader = new ResponseCache({ store: new LogStore({ file }) });
+
+  writer.set('Logged question', { answer: 'appended' });
+  assert(reader.get('Logged question').answer === 'appended', 'Log store tails entries written by another instance');
+
+  for (let i = 0; i < 150; i++) writer.set('Hot key', { answer: i });
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').length;
+  assert(lines < 100, 'Log compacts when most records are dead');
+  assert(reader.get('Hot key').answer === 149, 'Reader reloads after compaction');
+  assert(new ResponseCache({ store: new LogStore({ file }) }).getStats().size === 2, 'Log replays to live entries on reopen');
+
+  const size = fs.statSync(file).size;
+  for (let i = 0; i < 5; i++) reader.get('Logged question');
+  assert(fs.statSync(file).size === size, 'Cache hits do not write to the log');
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function testLogStoreInterleavedWriters() {
+  const dir = tmpDir();
+  const file = path.join(dir, 'cache.log');
+  const a = new LogStore({ file });
+  const b = new LogStore({ file });
+  const entry = n => ({ response: n, expiresAt: Date.now() + 60000 });
+
+  // Another worker appends between this worker's last read and its own append
+  const appendFileSync = fs.appendFileSync;
+  fs.appendFileSync = (...args) => {
+    fs.appendFileSync = appendFileSync;
+    b.set('raced', entry('b'));
+    return appendFileSync(...args);
+  };
+  a.set('own', entry('a'));
+  a.set('after', entry('a'));
+
+  assert(a.get('raced') && a.get('own') && a.offset === fs.statSync(file).size, 'Interleaved appends are all applied and the offset stays at EOF');
+  assert(new LogStore({ file }).keys().sort().join() === 'after,own,raced', 'Log stays line-aligned with interleaved writers');
+
+  // Replaced by another worker and regrown past this reader's offset
+  const reader = new LogStore({ file });
+  const offset = reader.offset;
+  b.clear();
+  for (let i = 0; reader.offset >= fs.statSync(file).size || i < 1; i++) b.set(`new-${i}`, entry(i));
+  assert(fs.statSync(file).size > offset && !reader.keys().includes('own'), 'Reader detects a replaced log by inode, not size');
+  assert(reader.keys().length === b.keys().length, 'Reader reloads the replaced log');
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function testRedisStore() {
+  const client = new FakeRedis();
+  const cache = new ResponseCache({ store: 'redis', storeOptions: { client } });
+  const other = new ResponseCache({ store: new RedisStore(client) });
+
+  await cache.setAsync('Networked question', { answer: 'shared' });
+  assert((await other.getAsync('Networked question')).answer === 'shared', 'Redis store shares entries across instances');
+  assert([...client.data.keys()][0].startsWith('response-cache:'), 'Redis keys are prefixed');
+  assert(cache.getStats().size === null && cache.getStats().store === 'redis', 'Async store reported without a size');
+
+  const paged = new RedisStore(client, { scanCount: 2 });
+  for (let i = 0; i < 5; i++) await paged.set(`page-${i}`, { response: i, expiresAt: Date.now() + 60000 });
+  client.scans = 0;
+  assert(await paged.size() === 6 && client.scans === 3, 'Redis keys listed with paged SCAN');
+  await paged.clear();
+  assert(client.data.size === 0, 'Redis clear deletes every scanned batch');
+  await cache.setAsync('Networked question', { answer: 'shared' });
+
+  await cache.setAsync('Short lived', { answer: 'soon gone' }, 'haiku-4-5', 20);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert(await cache.getAsync('Short lived') === null, 'TTL travels with the Redis write');
+
+  let error = null;
+  try {
+    cache.get('Networked question');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /getAsync/.test(error.message), 'Sync API rejects async stores');
+}
+
+function testFuzzyLookup() {
+  const cache = new ResponseCache({ fuzzy: { faq: { threshold: 0.8 } } });
+  const faq = { namespace: 'faq' };
+  cache.set('What is your refund policy?', { answer: '30 days' }, 'haiku-4-5', null, faq);
+
+  const match = cache.match('  what is your REFUND policy ', 'haiku-4-5', faq);
+  assert(match && match.response.answer === '30 days', 'Whitespace, case and punctuation variants hit');
+  assert(match.score === 1 && match.exact === false, 'Normalized duplicate scores 1 without being exact');
+  assert(cache.match('Your refund policy: what is it?', 'haiku-4-5', faq).score >= 0.8, 'Reordered words match above the threshold');
+  assert(cache.get('How do I reset my password?', 'haiku-4-5', faq) === null, 'Unrelated prompt misses');
+  assert(cache.get('What is your refund policy?', 'sonnet-4-5', faq) === null, 'Fuzzy matches never cross models');
+  assert(cache.get('what is your refund policy', 'haiku-4-5', { ...faq, exact: true }) === null, 'Per-call exact lookup skips fuzzy matching');
+  assert(cache.get('What is your refund policy?') === null, 'Namespaced entries are separate from the default namespace');
+  assert(cache.getStats().fuzzyHits === 2, 'Fuzzy hits counted');
+
+  // Namespaces without fuzzy config stay exact
+  cache.set('Extract the invoice total', { total: 42 }, 'haiku-4-5', null, { namespace: 'extraction' });
+  assert(cache.get('extract the invoice total', 'haiku-4-5', { namespace: 'extraction' }) === null, 'Exact namespaces do not fuzzy match');
+  assert(cache.get('Extract the invoice total', 'haiku-4-5', { namespace: 'extraction' }).total === 42, 'Exact namespaces still hit exactly');
+}
+
+async function testFuzzyIndexBounded() {
+  const client = new FakeRedis();
+  const cache = new ResponseCache({ store: new RedisStore(client), fuzzy: { faq: { maxEntries: 3 } } });
+  const faq = { namespace: 'faq' };
+  const index = cache.fuzzy.faq;
+  for (const topic of ['refunds', 'shipping', 'returns', 'warranty', 'invoices']) {
+    await cache.setAsync(`Tell me about ${topic}`, { topic }, 'haiku-4-5', null, faq);
+  }
+  assert(index.size === 3, 'Fuzzy index capped per namespace with a networked store');
+  assert((await cache.getAsync('tell me about invoices', 'haiku-4-5', faq)).topic === 'invoices', 'Newest entries stay indexed');
+
+  // Evicted by the server: pruned from the index when the lookup misses
+  client.data.clear();
+  assert(await cache.getAsync('tell me about invoices', 'haiku-4-5', faq) === null, 'Server-evicted entry misses');
+  assert(index.size === 2, 'Missed candidates pruned from the fuzzy index');
+  assert(new ResponseCache({ maxSize: 50, fuzzy: { faq: {} } }).fuzzy.faq.maxEntries === 50, 'Index cap defaults to maxSize');
+}
+
+function testFuzzyTfidf() {
+  const cache = new ResponseCache({ fuzzy: { support: { method: 'tfidf', threshold: 0.7 } } });
+  const support = { namespace: 'support' };
+  cache.set('How do I cancel my subscription?', { answer: 'Settings > Billing' }, 'haiku-4-5', null, support);
+  cache.set('How do I change my email address?', { answer: 'Settings > Profile' }, 'haiku-4-5', null, support);
+
+  const match = cache.match('how do i cancel the subscription', 'haiku-4-5', support);
+  assert(match && match.response.answer === 'Settings > Billing', 'TF-IDF picks the closest entry');
+  assert(match.score >= 0.7 && match.score < 1, 'TF-IDF score returned with the response');
+
+  cache.clear();
+  assert(cache.get('How do I cancel my subscription?', 'haiku-4-5', support) === null, 'Clear drops fuzzy index entries');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSingleFlight() {
+  const cache = new ResponseCache();
+  let calls = 0;
+  const producer = async () => {
+    calls++;
+    await sleep(20);
+    return { answer: 'computed' };
+  };
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => cache.getOrCompute('Popular question', producer)));
+  assert(calls === 1, 'Concurrent misses share one producer call');
+  assert(results.every(r => r.answer === 'computed'), 'Every caller gets the produced response');
+  assert(cache.getStats().coalesced === 9, 'Coalesced callers counted');
+
+  await cache.getOrCompute('Popular question', producer);
+  assert(calls === 1, 'Produced response is cached');
+}
+
+async function testProducerErrors() {
+  const cache = new ResponseCache();
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    const error = new Error('overloaded');
+    error.status = 529;
+    throw error;
+  };
+
+  let error = null;
+  try {
+    await cache.getOrCompute('Flaky question', failing);
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message === 'overloaded', 'Producer error reaches the caller');
+  assert(await cache.getOrCompute('Flaky question', async () => ({ answer: 'recovered' })).then(r => r.answer) === 'recovered', 'Producer errors are not cached by default');
+
+  const negative = new ResponseCache();
+  for (let i = 0; i < 2; i++) {
+    try {
+      await negative.getOrCompute('Flaky question', failing, { cacheErrors: 1000 });
+    } catch (e) {
+      error = e;
+    }
+  }
+  assert(calls === 2 && error.cached && error.status === 529, 'Opt-in error caching rethrows without calling the producer');
+  assert(negative.get('Flaky question') === null, 'Cached errors are a miss for get()');
+
+  const sync = new ResponseCache();
+  error = null;
+  try {
+    await sync.getOrCompute('Sync question', () => {
+      throw new Error('sync failure');
+    });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message === 'sync failure' && sync.inflight.size === 0, 'Synchronous producer throw leaves no flight behind');
+  assert(await sync.getOrCompute('Sync question', () => ({ answer: 'recovered' })).then(r => r.answer) === 'recovered', 'Next call after a synchronous throw runs the producer');
+}
+
+async function testStaleWhileRevalidate() {
+  const cache = new ResponseCache({ staleWhileRevalidate: 1000 });
+  let version = 0;
+  const producer = async () => {
+    version++;
+    await sleep(10);
+    return { version };
+  };
+
+  await cache.getOrCompute('Dashboard', producer, { ttl: 20 });
+  await sleep(40);
+  assert(cache.get('Dashboard') === null, 'Expired entry is a miss for get()');
+
+  const stale = await cache.getOrCompute('Dashboard', producer, { ttl: 20 });
+  assert(stale.version === 1 && cache.getStats().staleServed === 1, 'Expired entry served while revalidating');
+  await sleep(30);
+  assert(version === 2 && (await cache.getOrCompute('Dashboard', producer, { ttl: 1000 })).version === 2, 'Background refresh replaces the entry');
+}
+
+async function testStaleIfError() {
+  const cache = new ResponseCache();
+  await cache.getOrCompute('Pricing page', async () => ({ price: 10 }), { ttl: 10, staleIfError: 1000 });
+  await sleep(30);
+
+  const served = await cache.getOrCompute('Pricing page', async () => { throw new Error('upstream down'); }, { staleIfError: 1000 });
+  assert(served.price === 10, 'Stale entry served when the producer fails');
+
+  let error = null;
+  try {
+    await cache.getOrCompute('Pricing page', async () => { throw new Error('upstream down'); });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && cache.getStats().producerErrors === 2, 'Without a stale-if-error window the error propagates');
+}
+
+async function testStaleIfErrorWithCachedErrors() {
+  const cache = new ResponseCache();
+  const opts = { ttl: 20, staleIfError: 10000, cacheErrors: 5000 };
+  await cache.getOrCompute('Status page', async () => ({ status: 'ok' }), opts);
+  await sleep(40);
+
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw new Error('upstream down');
+  };
+  const first = await cache.getOrCompute('Status page', failing, opts);
+  const second = await cache.getOrCompute('Status page', failing, opts);
+  assert(first.status === 'ok' && second.status === 'ok', 'Cached errors do not hide a stale entry inside its stale-if-error window');
+  assert(calls === 2 && cache.getStats().staleServed === 2, 'Each call retries the producer while stale is served');
+}
+
+async function testSingleStoreRead() {
+  const cache = new ResponseCache();
+  await cache.getOrCompute('Counted question', async () => ({ answer: 'once' }));
+  const get = cache.store.get.bind(cache.store);
+  const set = cache.store.set.bind(cache.store);
+  let reads = 0, writes = 0;
+  cache.store.get = key => { reads++; return get(key); };
+  cache.store.set = (key, entry) => { writes++; return set(key, entry); };
+
+  assert((await cache.getOrCompute('Counted question', async () => null)).answer === 'once', 'getOrCompute hit returns the cached response');
+  assert(reads === 1 && writes === 0, 'getOrCompute hit reads the store once and writes nothing');
+}
+
+async function testGetOrComputeRedis() {
+  const client = new FakeRedis();
+  const cache = new ResponseCache({ store: new RedisStore(client) });
+  let calls = 0;
+  const producer = async () => {
+    calls++;
+    await sleep(10);
+    return { answer: 'shared' };
+  };
+
+  await Promise.all([1, 2, 3].map(() => cache.getOrCompute('Networked', producer)));
+  const other = new ResponseCache({ store: new RedisStore(client) });
+  assert((await other.getOrCompute('Networked', producer)).answer === 'shared' && calls === 1, 'getOrCompute works over async stores');
+}
+
 function testMetadataRetrieval() {
   const cache = new ResponseCache();
 
@@ -139,19 +623,42 @@ function testStatisticsCalculation() {
 // Run all tests
 console.log('🧪 Running Response Cache Tests\n');
 
-try {
+(async () => {
   testCachingBasics();
   testCacheMiss();
   testHitAndMissTracking();
   testKeyGeneration();
+  testNoPrefixCollisions();
+  testRequestObjectKeys();
+  testConfigurableKeyFields();
+  testFuzzyLookup();
+  testFuzzyTfidf();
   testMetadataRetrieval();
   testExportImport();
   testStatisticsCalculation();
-
-  // testCacheExpiration and testLRUEviction are async, run separately
+  testLRUEviction();
+  testLFUEviction();
+  testTTLPriorityEviction();
+  testByteLimit();
+  testExpirySweep();
+  testEvictionScales();
+  testFileStore();
+  testLogStore();
+  testLogStoreInterleavedWriters();
+  await testRedisStore();
+  await testFuzzyIndexBounded();
+  await testSingleFlight();
+  await testProducerErrors();
+  await testStaleWhileRevalidate();
+  await testStaleIfError();
+  await testStaleIfErrorWithCachedErrors();
+  await testSingleStoreRead();
+  await testGetOrComputeRedis();
+
+  // testCacheExpiration is async, run separately
   console.log('\n✅ All synchronous tests passed!');
-  console.log('✅ Async tests (expiration, LRU) verified separately');
-} catch (error) {
+  console.log('✅ Async tests (expiration) verified separately');
+})().catch(error => {
   console.error('\n❌ Test suite failed:', error);
   process.exit(1);
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Usage Time Series - Hourly/daily/weekly spend rollups and month-end forecasting
+ * Works on the priced entries recorded by ClaudeCostMonitor (UTC buckets)
+ */
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const GRANULARITIES = { hourly: HOUR, daily: DAY, weekly: 7 * DAY };
+
+class UsageTimeSeries {
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  // Start of the UTC bucket containing `time` (weeks start on Monday)
+  static bucketStart(time, granularity) {
+    const step = GRANULARITIES[granularity];
+    if (!step) throw new Error(`Unknown granularity: ${granularity}`);
+    if (granularity !== 'weekly') return Math.floor(time / step) * step;
+
+    const day = Math.floor(time / DAY) * DAY;
+    const weekday = (new Date(day).getUTCDay() + 6) % 7;
+    return day - weekday * DAY;
+  }
+
+  // Contiguous buckets between from and to with cost, calls, tokens and change vs previous bucket
+  rollup(options = {}) {
+    const granularity = options.granularity || 'daily';
+    const step = GRANULARITIES[granularity];
+    const times = this.entries.map(e => new Date(e.timestamp).getTime());
+    const to = toTime(options.to, Date.now());
+    const from = toTime(options.from, times.reduce((min, t) => Math.min(min, t), to));
+
+    const buckets = new Map();
+    for (let t = UsageTimeSeries.bucketStart(from, granularity); t <= to; t += step) {
+      buckets.set(t, {
+        start: new Date(t).toISOString(), end: new Date(t + step).toISOString(),
+        calls: 0, cost: 0, tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 }, models: {}
+      });
+    }
+
+    this.entries.forEach((entry, i) => {
+      if (times[i] < from || times[i] > to) return;
+      const bucket = buckets.get(UsageTimeSeries.bucketStart(times[i], granularity));
+      if (!bucket) return;
+      const usage = entry.usage || {};
+      bucket.calls += entry.calls || 1;
+      bucket.cost += entry.cost;
+      bucket.tokens.input += usage.input || 0;
+      bucket.tokens.output += usage.output || 0;
+      bucket.tokens.cacheRead += usage.cacheRead || 0;
+      bucket.tokens.cacheWrite += (usage.cacheWrite || 0) + (usage.cacheWrite1h || 0);
+      bucket.models[entry.model] = (bucket.models[entry.model] || 0) + entry.cost;
+    });
+
+    let previous = null;
+    return [...buckets.values()].map(bucket => {
+      bucket.change = previous === null ? null : {
+        cost: bucket.cost - previous.cost,
+        percent: previous.cost > 0 ? (bucket.cost - previous.cost) / previous.cost * 100 : null
+      };
+      previous = bucket;
+      return bucket;
+    });
+  }
+
+  // Project month-end spend from month-to-date spend plus the recent daily run rate
+  forecast(options = {}) {
+    const now = toTime(options.now, Date.now());
+    const windowDays = options.windowDays || 7;
+    const date = new Date(now);
+    const monthStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const monthEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    const windowStart = now - windowDays * DAY;
+
+    let monthToDate = 0, windowSpend = 0, first = Infinity;
+    for (const entry of this.entries) {
+      const t = new Date(entry.timestamp).getTime();
+      if (t > now) continue;
+      first = Math.min(first, t);
+      if (t >= monthStart) monthToDate += entry.cost;
+      if (t > windowStart) windowSpend += entry.cost;
+    }
+
+    // Don't dilute the rate with days before tracking began
+    const observedDays = Math.max(Math.min(windowDays, (now - first) / DAY), 1 / 24);
+    const dailyRunRate = Number.isFinite(first) ? windowSpend / observedDays : 0;
+    const daysRemaining = (monthEnd - now) / DAY;
+
+    return {
+      month: date.toISOString().slice(0, 7),
+      asOf: date.toISOString(),
+      monthToDate,
+      dailyRunRate,
+      windowDays,
+      daysRemaining,
+      projectedMonthEnd: monthToDate + dailyRunRate * daysRemaining
+    };
+  }
+}
+
+function toTime(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+UsageTimeSeries.GRANULARITIES = Object.keys(GRANULARITIES);
+
+module.exports = UsageTimeSeries;
+
+// CLI usage
+if (require.main === module) {
+  const now = Date.now();
+  const entries = Array.from({ length: 14 }, (_, i) => ({
+    timestamp: new Date(now - i * DAY).toISOString(), model: 'sonnet-4-5', cost: 1 + i * 0.1
+  }));
+  const series = new UsageTimeSeries(entries);
+  console.log('Weekly:', JSON.stringify(series.rollup({ granularity: 'weekly' }), null, 2));
+  console.log('Forecast:', series.forecast());
+}
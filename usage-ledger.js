@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Usage Ledger - Durable append-only JSONL record of tracked API calls
+ * Shared by every worker writing to the same directory, with rotation and compaction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let lastRotation = 0; // keeps segment names unique within this process
+
+class UsageLedger {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'ledger');
+    this.name = options.name || 'usage';
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024; // rotate at 10 MB
+    this.worker = options.worker || `${os.hostname()}:${process.pid}`;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Active segment every worker appends to
+  get file() {
+    return path.join(this.dir, `${this.name}.jsonl`);
+  }
+
+  // Append one entry (single write with O_APPEND keeps lines whole across workers)
+  append(entry) {
+    this.rotateIfNeeded();
+    const line = JSON.stringify({ worker: this.worker, ...entry }) + '\n';
+    fs.appendFileSync(this.file, line);
+    return entry;
+  }
+
+  // Move the active segment aside once it exceeds maxBytes
+  rotateIfNeeded() {
+    let size = 0;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+    if (size < this.maxBytes) return false;
+    return this.rotate();
+  }
+
+  // Rename the active segment to a timestamped one
+  rotate() {
+    lastRotation = Math.max(Date.now(), lastRotation + 1);
+    const target = path.join(this.dir, `${this.name}.${lastRotation}.${process.pid}.jsonl`);
+    try {
+      fs.renameSync(this.file, target);
+    } catch (e) {
+      if (e.code === 'ENOENT') return false; // another worker rotated first
+      throw e;
+    }
+    return target;
+  }
+
+  // Rotated segments, oldest first
+  segments() {
+    const pattern = new RegExp(`^${this.name}\\.\\d+\\.\\d+\\.jsonl$`);
+    return fs.readdirSync(this.dir)
+      .filter(f => pattern.test(f))
+      .sort((a, b) => this.segmentTime(a) - this.segmentTime(b) || a.localeCompare(b))
+      .map(f => path.join(this.dir, f));
+  }
+
+  segmentTime(file) {
+    return Number(path.basename(file).split('.')[1]);
+  }
+
+  // Read every entry across rotated and active segments
+  readAll() {
+    const files = [...this.segments(), this.file].filter(f => fs.existsSync(f));
+    return files.flatMap(f => this.readFile(f));
+  }
+
+  // Parse a segment, skipping torn or malformed lines
+  readFile(file) {
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // partial line from a crashed writer
+      }
+    }
+    return entries;
+  }
+
+  // Merge rotated segments into one, rolling entries older than `rollupBefore` into daily totals.
+  // Run from a single process; the active segment is never touched.
+  compact(options = {}) {
+    const segments = this.segments();
+    if (segments.length === 0) return { segments: 0, entries: 0, rollups: 0 };
+
+    const cutoff = options.rollupBefore ? new Date(options.rollupBefore).getTime() : -Infinity;
+    const kept = [];
+    const rollups = new Map();
+
+    for (const entry of segments.flatMap(f => this.readFile(f))) {
+      const ts = new Date(entry.timestamp).getTime();
+      if (!(ts < cutoff)) {
+        kept.push(entry);
+        continue;
+      }
+      UsageLedger.rollUp(rollups, entry, `${new Date(ts).toISOString().slice(0, 10)}T00:00:00.000Z`, 'day');
+    }
+
+    const merged = [...rollups.values(), ...kept]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const target = segments[0];
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, merged.map(e => JSON.stringify(e)).join('\n') + '\n');
+    // Merged file in place before the sources go: a crash in between can repeat entries but never lose them
+    fs.renameSync(tmp, target);
+    segments.slice(1).forEach(f => fs.unlinkSync(f));
+
+    return { segments: segments.length, entries: kept.length, rollups: rollups.size };
+  }
+
+  // Fold an entry into the rollup for its period start, model, batch flag and tags (rollup: 'hour' | 'day')
+  static rollUp(rollups, entry, start, period) {
+    const key = JSON.stringify([start, entry.model, entry.batch || false, entry.tags || {}]);
+    if (!rollups.has(key)) {
+      rollups.set(key, {
+        timestamp: start, rollup: period, model: entry.model, batch: entry.batch || false,
+        tags: entry.tags || {}, calls: 0, cost: 0, usage: {}, costs: {}
+      });
+    }
+    UsageLedger.accumulate(rollups.get(key), entry);
+  }
+
+  // Add an entry's counts into a rollup
+  static accumulate(rollup, entry) {
+    rollup.calls += entry.calls || 1;
+    rollup.cost += entry.cost || 0;
+    for (const [k, v] of Object.entries(entry.usage || {})) rollup.usage[k] = (rollup.usage[k] || 0) + v;
+    for (const [k, v] of Object.entries(entry.costs || {})) rollup.costs[k] = (rollup.costs[k] || 0) + v;
+  }
+}
+
+module.exports = UsageLedger;
+
+// CLI usage
+if (require.main === module) {
+  const ledger = new UsageLedger({ dir: process.argv[2] });
+  if (process.argv[3] === 'compact') {
+    console.log('Compacted:', ledger.compact({ rollupBefore: process.argv[4] }));
+  }
+  const entries = ledger.readAll();
+  console.log(`${entries.length} entries in ${ledger.dir}`);
+}